@@ -7,6 +7,24 @@ import { Principal } from "@dfinity/principal";
 
 // Constants
 const NANOSECONDS_PER_MILLISECOND = 1000000;
+const KEYS_DB_NAME = "serum_keys_db";
+const KEYS_DB_VERSION = 3;
+const AUDIT_PAGE_SIZE = 20;
+const VAULT_PBKDF2_ITERATIONS = 310000;
+const KEYS_CHANGED_AT = "serum_keys_changed_at";
+const PAIRING_POLL_INTERVAL_MS = 5000;
+const ATTACHMENT_CHUNK_SIZE = 1024 * 1024; // Plaintext bytes per chunk, well under the ingress limit
+const MAX_ATTACHMENT_CHUNKS = 64;
+const RECORD_PAGE_SIZE = 50;
+const MILLISECONDS_PER_DAY = 86400000;
+const RECORD_SIGNATURE_CONTEXT = "serum-record-signature-v1";
+const RECORD_CREDENTIAL_TYPE = "SerumRecordCredential";
+const GRANT_REMINDER_DAYS_KEY = "serum_grant_reminder_days";
+const DEFAULT_GRANT_REMINDER_DAYS = 7;
+const GRANT_RENEWAL_DAYS = 30;
+const KEY_ROTATION_JOB_KEY = "serum_key_rotation";
+const ARCHIVE_FORMAT = "serum-archive";
+const ARCHIVE_VERSION = 1;
 
 // Canister IDs - will be set from environment or dfx
 const BACKEND_CANISTER_ID = process.env.CANISTER_ID_SERUM_BACKEND || "bkyz2-fmaaa-aaaaa-qaaaq-cai";
@@ -61,6 +79,43 @@ const idlFactory = ({ IDL }) => {
         updatedAt: IDL.Int,
     });
 
+    const RecordSignature = IDL.Record({
+        signer: IDL.Principal,
+        publicKey: IDL.Vec(IDL.Nat8),
+        signature: IDL.Vec(IDL.Nat8),
+        signedAt: IDL.Int,
+    });
+
+    const RecordSummary = IDL.Record({
+        id: IDL.Nat,
+        patientDid: IDL.Text,
+        recordType: RecordType,
+        encryptionKeyHash: IDL.Text,
+        metadata: RecordMetadata,
+        createdAt: IDL.Int,
+        updatedAt: IDL.Int,
+        signature: IDL.Opt(RecordSignature),
+    });
+
+    const RecordPage = IDL.Record({
+        records: IDL.Vec(RecordSummary),
+        nextCursor: IDL.Opt(IDL.Nat),
+        timestamp: IDL.Int,
+    });
+
+    const RecordData = IDL.Record({
+        id: IDL.Nat,
+        encryptedData: IDL.Vec(IDL.Nat8),
+        encryptionKeyHash: IDL.Text,
+        updatedAt: IDL.Int,
+    });
+
+    const RecordChanges = IDL.Record({
+        updated: IDL.Vec(RecordSummary),
+        deleted: IDL.Vec(IDL.Nat),
+        timestamp: IDL.Int,
+    });
+
     const Permission = IDL.Variant({
         Read: IDL.Null,
         Write: IDL.Null,
@@ -68,6 +123,7 @@ const idlFactory = ({ IDL }) => {
     });
 
     const AccessGrant = IDL.Record({
+        id: IDL.Nat,
         grantedTo: IDL.Principal,
         grantedBy: IDL.Text,
         recordIds: IDL.Vec(IDL.Nat),
@@ -76,6 +132,247 @@ const idlFactory = ({ IDL }) => {
         createdAt: IDL.Int,
     });
 
+    const AccessRequest = IDL.Record({
+        id: IDL.Nat,
+        patientDid: IDL.Text,
+        requester: IDL.Principal,
+        recordTypes: IDL.Vec(RecordType),
+        permissions: IDL.Vec(Permission),
+        duration: IDL.Opt(IDL.Int),
+        reason: IDL.Text,
+        status: IDL.Variant({ Pending: IDL.Null, Approved: IDL.Null, Denied: IDL.Null }),
+        createdAt: IDL.Int,
+        respondedAt: IDL.Opt(IDL.Int),
+    });
+
+    const Editor = IDL.Variant({
+        Patient: IDL.Text,
+        Provider: IDL.Principal,
+        Caregiver: IDL.Principal,
+    });
+
+    const RecordVersion = IDL.Record({
+        recordId: IDL.Nat,
+        version: IDL.Nat,
+        encryptedData: IDL.Vec(IDL.Nat8),
+        encryptionKeyHash: IDL.Text,
+        metadata: RecordMetadata,
+        editedBy: Editor,
+        editedAt: IDL.Int,
+    });
+
+    const RecordVersionSummary = IDL.Record({
+        recordId: IDL.Nat,
+        version: IDL.Nat,
+        encryptionKeyHash: IDL.Text,
+        metadata: RecordMetadata,
+        editedBy: Editor,
+        editedAt: IDL.Int,
+        isCurrent: IDL.Bool,
+    });
+
+    const Attachment = IDL.Record({
+        id: IDL.Nat,
+        recordId: IDL.Nat,
+        encryptedHeader: IDL.Vec(IDL.Nat8),
+        encryptionKeyHash: IDL.Text,
+        chunkCount: IDL.Nat,
+        size: IDL.Nat,
+        complete: IDL.Bool,
+        uploadedBy: Editor,
+        createdAt: IDL.Int,
+    });
+
+    const CaregiverAction = IDL.Variant({
+        Create: IDL.Null,
+        Write: IDL.Null,
+        Delete: IDL.Null,
+        Grant: IDL.Null,
+        Revoke: IDL.Null,
+        Profile: IDL.Null,
+    });
+
+    const AuditAction = IDL.Variant({
+        Read: IDL.Null,
+        Write: IDL.Null,
+        Delete: IDL.Null,
+        Grant: IDL.Null,
+        Revoke: IDL.Null,
+        GrantUpdated: IDL.Null,
+        GrantExpired: IDL.Null,
+        Issue: IDL.Null,
+        Sign: IDL.Null,
+        BreakGlass: IDL.Null,
+        CaregiverAdded: IDL.Null,
+        CaregiverRemoved: IDL.Null,
+        Caregiver: CaregiverAction,
+    });
+
+    const AuditEntry = IDL.Record({
+        id: IDL.Nat,
+        patientDid: IDL.Text,
+        provider: IDL.Principal,
+        action: AuditAction,
+        recordId: IDL.Opt(IDL.Nat),
+        timestamp: IDL.Int,
+    });
+
+    const AuditLogPage = IDL.Record({
+        entries: IDL.Vec(AuditEntry),
+        total: IDL.Nat,
+    });
+
+    const CaregiverRight = IDL.Variant({
+        ManageRecords: IDL.Null,
+        ManageSharing: IDL.Null,
+        ManageProfile: IDL.Null,
+    });
+
+    const Caregiver = IDL.Record({
+        patientDid: IDL.Text,
+        caregiver: IDL.Principal,
+        relationship: IDL.Text,
+        rights: IDL.Vec(CaregiverRight),
+        isGuardian: IDL.Bool,
+        createdAt: IDL.Int,
+    });
+
+    const Dependent = IDL.Record({
+        patientDid: IDL.Text,
+        name: IDL.Opt(IDL.Text),
+        relationship: IDL.Text,
+        rights: IDL.Vec(CaregiverRight),
+        isGuardian: IDL.Bool,
+    });
+
+    const EmergencyField = IDL.Variant({
+        Name: IDL.Null,
+        DateOfBirth: IDL.Null,
+        BloodType: IDL.Null,
+        Allergies: IDL.Null,
+    });
+
+    const EmergencyRecord = IDL.Record({
+        recordId: IDL.Nat,
+        recordType: RecordType,
+        title: IDL.Text,
+        dateOfService: IDL.Text,
+        content: IDL.Text,
+    });
+
+    const EmergencyProfile = IDL.Record({
+        enabled: IDL.Bool,
+        fields: IDL.Vec(EmergencyField),
+        records: IDL.Vec(EmergencyRecord),
+        updatedAt: IDL.Int,
+    });
+
+    const EmergencyAccess = IDL.Record({
+        eventId: IDL.Nat,
+        patientDid: IDL.Text,
+        name: IDL.Opt(IDL.Text),
+        dateOfBirth: IDL.Opt(IDL.Text),
+        bloodType: IDL.Opt(IDL.Text),
+        allergies: IDL.Opt(IDL.Vec(IDL.Text)),
+        records: IDL.Vec(EmergencyRecord),
+        updatedAt: IDL.Int,
+    });
+
+    const EmergencyProvider = IDL.Record({
+        provider: IDL.Principal,
+        name: IDL.Text,
+        verifiedAt: IDL.Int,
+    });
+
+    const BreakGlassEvent = IDL.Record({
+        id: IDL.Nat,
+        patientDid: IDL.Text,
+        provider: IDL.Principal,
+        providerName: IDL.Text,
+        reason: IDL.Text,
+        accessedAt: IDL.Int,
+        acknowledged: IDL.Bool,
+        dispute: IDL.Opt(IDL.Text),
+        disputedAt: IDL.Opt(IDL.Int),
+    });
+
+    const KeyVault = IDL.Record({
+        ciphertext: IDL.Vec(IDL.Nat8),
+        salt: IDL.Vec(IDL.Nat8),
+        iterations: IDL.Nat,
+        updatedAt: IDL.Int,
+    });
+
+    const PairingStatus = IDL.Variant({
+        Pending: IDL.Null,
+        Approved: IDL.Null,
+    });
+
+    const Device = IDL.Record({
+        deviceId: IDL.Text,
+        name: IDL.Text,
+        publicKey: IDL.Vec(IDL.Nat8),
+        status: PairingStatus,
+        createdAt: IDL.Int,
+        approvedAt: IDL.Opt(IDL.Int),
+    });
+
+    const DeviceKey = IDL.Record({
+        recordId: IDL.Nat,
+        wrappedKey: IDL.Vec(IDL.Nat8),
+        createdAt: IDL.Int,
+    });
+
+    const EncryptionKey = IDL.Record({
+        owner: IDL.Principal,
+        publicKey: IDL.Vec(IDL.Nat8),
+        createdAt: IDL.Int,
+    });
+
+    const SigningKey = IDL.Record({
+        owner: IDL.Principal,
+        publicKey: IDL.Vec(IDL.Nat8),
+        createdAt: IDL.Int,
+    });
+
+    const VerificationMethod = IDL.Record({
+        id: IDL.Text,
+        type: IDL.Text,
+        controller: IDL.Text,
+        publicKey: IDL.Vec(IDL.Nat8),
+    });
+
+    const DIDService = IDL.Record({
+        id: IDL.Text,
+        type: IDL.Text,
+        serviceEndpoint: IDL.Text,
+    });
+
+    const DIDResolution = IDL.Record({
+        didDocument: IDL.Record({
+            id: IDL.Text,
+            controller: IDL.Vec(IDL.Text),
+            verificationMethod: IDL.Vec(VerificationMethod),
+            authentication: IDL.Vec(IDL.Text),
+            assertionMethod: IDL.Vec(IDL.Text),
+            service: IDL.Vec(DIDService),
+        }),
+        didDocumentMetadata: IDL.Record({
+            created: IDL.Int,
+            updated: IDL.Int,
+            deactivated: IDL.Bool,
+        }),
+        jsonLd: IDL.Text,
+    });
+
+    const WrappedKey = IDL.Record({
+        recordId: IDL.Nat,
+        grantedTo: IDL.Principal,
+        grantedBy: IDL.Text,
+        wrappedKey: IDL.Vec(IDL.Nat8),
+        createdAt: IDL.Int,
+    });
+
     const Error = IDL.Variant({
         NotAuthenticated: IDL.Null,
         Unauthorized: IDL.Null,
@@ -86,25 +383,57 @@ const idlFactory = ({ IDL }) => {
     });
 
     const Result_DID = IDL.Variant({ ok: DID, err: Error });
+    const Result_DIDResolution = IDL.Variant({ ok: DIDResolution, err: Error });
     const Result_Profile = IDL.Variant({ ok: PatientProfile, err: Error });
     const Result_Record = IDL.Variant({ ok: MedicalRecord, err: Error });
     const Result_Records = IDL.Variant({ ok: IDL.Vec(MedicalRecord), err: Error });
+    const Result_RecordPage = IDL.Variant({ ok: RecordPage, err: Error });
+    const Result_RecordData = IDL.Variant({ ok: RecordData, err: Error });
+    const Result_RecordChanges = IDL.Variant({ ok: RecordChanges, err: Error });
     const Result_Grant = IDL.Variant({ ok: AccessGrant, err: Error });
     const Result_Grants = IDL.Variant({ ok: IDL.Vec(AccessGrant), err: Error });
+    const Result_Request = IDL.Variant({ ok: AccessRequest, err: Error });
+    const Result_Requests = IDL.Variant({ ok: IDL.Vec(AccessRequest), err: Error });
+    const Result_Version = IDL.Variant({ ok: RecordVersion, err: Error });
+    const Result_Versions = IDL.Variant({ ok: IDL.Vec(RecordVersionSummary), err: Error });
+    const Result_Attachment = IDL.Variant({ ok: Attachment, err: Error });
+    const Result_Attachments = IDL.Variant({ ok: IDL.Vec(Attachment), err: Error });
+    const Result_Blob = IDL.Variant({ ok: IDL.Vec(IDL.Nat8), err: Error });
+    const Result_AuditLog = IDL.Variant({ ok: AuditLogPage, err: Error });
+    const Result_Caregiver = IDL.Variant({ ok: Caregiver, err: Error });
+    const Result_Caregivers = IDL.Variant({ ok: IDL.Vec(Caregiver), err: Error });
+    const Result_Dependents = IDL.Variant({ ok: IDL.Vec(Dependent), err: Error });
+    const Result_EmergencyProfile = IDL.Variant({ ok: EmergencyProfile, err: Error });
+    const Result_EmergencyAccess = IDL.Variant({ ok: EmergencyAccess, err: Error });
+    const Result_EmergencyProvider = IDL.Variant({ ok: EmergencyProvider, err: Error });
+    const Result_BreakGlassEvent = IDL.Variant({ ok: BreakGlassEvent, err: Error });
+    const Result_BreakGlassEvents = IDL.Variant({ ok: IDL.Vec(BreakGlassEvent), err: Error });
+    const Result_KeyVault = IDL.Variant({ ok: KeyVault, err: Error });
+    const Result_Device = IDL.Variant({ ok: Device, err: Error });
+    const Result_Devices = IDL.Variant({ ok: IDL.Vec(Device), err: Error });
+    const Result_DeviceKeys = IDL.Variant({ ok: IDL.Vec(DeviceKey), err: Error });
+    const Result_EncryptionKey = IDL.Variant({ ok: EncryptionKey, err: Error });
+    const Result_EncryptionKeys = IDL.Variant({ ok: IDL.Vec(EncryptionKey), err: Error });
+    const Result_SigningKey = IDL.Variant({ ok: SigningKey, err: Error });
+    const Result_SigningKeys = IDL.Variant({ ok: IDL.Vec(SigningKey), err: Error });
+    const Result_Summary = IDL.Variant({ ok: RecordSummary, err: Error });
+    const Result_WrappedKeys = IDL.Variant({ ok: IDL.Vec(WrappedKey), err: Error });
     const Result_Unit = IDL.Variant({ ok: IDL.Null, err: Error });
 
     return IDL.Service({
         createDID: IDL.Func([], [Result_DID], []),
         getMyDID: IDL.Func([], [Result_DID], []),
-        resolveDID: IDL.Func([IDL.Text], [Result_DID], ["query"]),
+        resolveDID: IDL.Func([IDL.Text], [Result_DIDResolution], ["query"]),
+        rotateDIDKey: IDL.Func([IDL.Vec(IDL.Nat8), IDL.Opt(IDL.Text)], [Result_DIDResolution], []),
+        deactivateDID: IDL.Func([IDL.Opt(IDL.Text)], [Result_DIDResolution], []),
         createOrUpdateProfile: IDL.Func(
-            [IDL.Text, IDL.Text, IDL.Opt(IDL.Text), IDL.Vec(IDL.Text)],
+            [IDL.Text, IDL.Text, IDL.Opt(IDL.Text), IDL.Vec(IDL.Text), IDL.Opt(IDL.Text)],
             [Result_Profile],
             []
         ),
-        getMyProfile: IDL.Func([], [Result_Profile], []),
+        getMyProfile: IDL.Func([IDL.Opt(IDL.Text)], [Result_Profile], []),
         addMedicalRecord: IDL.Func(
-            [RecordType, IDL.Vec(IDL.Nat8), IDL.Text, RecordMetadata],
+            [RecordType, IDL.Vec(IDL.Nat8), IDL.Text, RecordMetadata, IDL.Opt(IDL.Text)],
             [Result_Record],
             []
         ),
@@ -116,14 +445,138 @@ const idlFactory = ({ IDL }) => {
             []
         ),
         deleteMedicalRecord: IDL.Func([IDL.Nat], [Result_Unit], []),
+        getMyRecordsPage: IDL.Func([IDL.Opt(IDL.Nat), IDL.Nat, IDL.Opt(IDL.Text)], [Result_RecordPage], []),
+        getAccessibleRecordsPage: IDL.Func([IDL.Opt(IDL.Nat), IDL.Nat], [Result_RecordPage], []),
+        getRecordData: IDL.Func([IDL.Nat], [Result_RecordData], []),
+        getRecordChangesSince: IDL.Func([IDL.Int, IDL.Opt(IDL.Text)], [Result_RecordChanges], []),
+        getRecordVersions: IDL.Func([IDL.Nat], [Result_Versions], []),
+        getRecordVersion: IDL.Func([IDL.Nat, IDL.Nat], [Result_Version], []),
+        createAttachment: IDL.Func(
+            [IDL.Nat, IDL.Vec(IDL.Nat8), IDL.Text, IDL.Nat],
+            [Result_Attachment],
+            []
+        ),
+        uploadAttachmentChunk: IDL.Func(
+            [IDL.Nat, IDL.Nat, IDL.Vec(IDL.Nat8)],
+            [Result_Attachment],
+            []
+        ),
+        getAttachments: IDL.Func([IDL.Nat], [Result_Attachments], []),
+        getAttachmentChunk: IDL.Func([IDL.Nat, IDL.Nat], [Result_Blob], []),
+        deleteAttachment: IDL.Func([IDL.Nat], [Result_Unit], []),
         grantAccess: IDL.Func(
-            [IDL.Principal, IDL.Vec(IDL.Nat), IDL.Vec(Permission), IDL.Opt(IDL.Int)],
+            [IDL.Principal, IDL.Vec(IDL.Nat), IDL.Vec(Permission), IDL.Opt(IDL.Int), IDL.Opt(IDL.Text)],
+            [Result_Grant],
+            []
+        ),
+        revokeAccess: IDL.Func([IDL.Principal, IDL.Opt(IDL.Text)], [Result_Unit], []),
+        updateGrant: IDL.Func(
+            [IDL.Nat, IDL.Vec(IDL.Nat), IDL.Vec(Permission), IDL.Opt(IDL.Int)],
             [Result_Grant],
             []
         ),
-        revokeAccess: IDL.Func([IDL.Principal], [Result_Unit], []),
-        getMyAccessGrants: IDL.Func([], [Result_Grants], []),
+        revokeGrant: IDL.Func([IDL.Nat], [Result_Unit], []),
+        getMyAccessGrants: IDL.Func([IDL.Opt(IDL.Text)], [Result_Grants], []),
+        getMyGrantHistory: IDL.Func([IDL.Opt(IDL.Text)], [Result_Grants], []),
+        getGrantsToMe: IDL.Func([], [Result_Grants], []),
         getAccessibleRecords: IDL.Func([], [Result_Records], []),
+        requestAccess: IDL.Func(
+            [IDL.Text, IDL.Vec(RecordType), IDL.Vec(Permission), IDL.Opt(IDL.Int), IDL.Text],
+            [Result_Request],
+            []
+        ),
+        getMyAccessRequests: IDL.Func([IDL.Opt(IDL.Text)], [Result_Requests], []),
+        getMySentAccessRequests: IDL.Func([], [Result_Requests], []),
+        approveAccessRequest: IDL.Func(
+            [IDL.Nat, IDL.Vec(IDL.Nat), IDL.Vec(Permission), IDL.Opt(IDL.Int)],
+            [Result_Grant],
+            []
+        ),
+        denyAccessRequest: IDL.Func([IDL.Nat], [Result_Request], []),
+        getMyAuditLog: IDL.Func(
+            [IDL.Nat, IDL.Nat, IDL.Opt(IDL.Principal), IDL.Opt(IDL.Nat), IDL.Opt(IDL.Text)],
+            [Result_AuditLog],
+            []
+        ),
+        createDependent: IDL.Func(
+            [IDL.Text, IDL.Text, IDL.Opt(IDL.Text), IDL.Vec(IDL.Text), IDL.Text],
+            [Result_Profile],
+            []
+        ),
+        addCaregiver: IDL.Func(
+            [IDL.Principal, IDL.Text, IDL.Vec(CaregiverRight), IDL.Bool, IDL.Opt(IDL.Text)],
+            [Result_Caregiver],
+            []
+        ),
+        removeCaregiver: IDL.Func([IDL.Principal, IDL.Opt(IDL.Text)], [Result_Unit], []),
+        getCaregivers: IDL.Func([IDL.Opt(IDL.Text)], [Result_Caregivers], []),
+        getMyDependents: IDL.Func([], [Result_Dependents], []),
+        setEmergencyProfile: IDL.Func(
+            [IDL.Bool, IDL.Vec(EmergencyField), IDL.Vec(IDL.Tuple(IDL.Nat, IDL.Text)), IDL.Opt(IDL.Text)],
+            [Result_EmergencyProfile],
+            []
+        ),
+        getMyEmergencyProfile: IDL.Func([IDL.Opt(IDL.Text)], [Result_EmergencyProfile], []),
+        breakGlass: IDL.Func([IDL.Text, IDL.Text], [Result_EmergencyAccess], []),
+        getMyBreakGlassEvents: IDL.Func([], [Result_BreakGlassEvents], []),
+        acknowledgeBreakGlassEvents: IDL.Func([], [Result_Unit], []),
+        disputeBreakGlassEvent: IDL.Func([IDL.Nat, IDL.Text], [Result_BreakGlassEvent], []),
+        addEmergencyProvider: IDL.Func([IDL.Principal, IDL.Text], [Result_EmergencyProvider], []),
+        removeEmergencyProvider: IDL.Func([IDL.Principal], [Result_Unit], []),
+        getMyEmergencyVerification: IDL.Func([], [Result_EmergencyProvider], []),
+        storeKeyVault: IDL.Func(
+            [IDL.Vec(IDL.Nat8), IDL.Vec(IDL.Nat8), IDL.Nat],
+            [Result_KeyVault],
+            []
+        ),
+        getMyKeyVault: IDL.Func([], [Result_KeyVault], []),
+        registerDevice: IDL.Func(
+            [IDL.Text, IDL.Text, IDL.Vec(IDL.Nat8)],
+            [Result_Device],
+            []
+        ),
+        getMyDevices: IDL.Func([], [Result_Devices], []),
+        approveDevice: IDL.Func(
+            [IDL.Text, IDL.Text, IDL.Vec(IDL.Tuple(IDL.Nat, IDL.Vec(IDL.Nat8))), IDL.Opt(IDL.Vec(IDL.Nat8))],
+            [Result_Device],
+            []
+        ),
+        removeDevice: IDL.Func([IDL.Text], [Result_Unit], []),
+        pushDeviceKeys: IDL.Func(
+            [IDL.Text, IDL.Vec(IDL.Tuple(IDL.Nat, IDL.Vec(IDL.Nat8)))],
+            [Result_Unit],
+            []
+        ),
+        getDeviceKeys: IDL.Func([IDL.Text], [Result_DeviceKeys], []),
+        ackDeviceKeys: IDL.Func([IDL.Text, IDL.Vec(IDL.Nat)], [Result_Unit], []),
+        getDeviceKeyPair: IDL.Func([IDL.Text], [Result_Blob], []),
+        ackDeviceKeyPair: IDL.Func([IDL.Text], [Result_Unit], []),
+        publishEncryptionKey: IDL.Func([IDL.Vec(IDL.Nat8)], [Result_EncryptionKey], []),
+        getEncryptionKey: IDL.Func([IDL.Principal], [Result_EncryptionKey], ["query"]),
+        shareRecordKeys: IDL.Func(
+            [IDL.Principal, IDL.Vec(IDL.Tuple(IDL.Nat, IDL.Vec(IDL.Nat8))), IDL.Opt(IDL.Text)],
+            [Result_Unit],
+            []
+        ),
+        getMySharedKeys: IDL.Func([], [Result_WrappedKeys], []),
+        publishSigningKey: IDL.Func([IDL.Vec(IDL.Nat8)], [Result_SigningKey], []),
+        getSigningKeys: IDL.Func([IDL.Principal], [Result_SigningKeys], ["query"]),
+        getPatientEncryptionKeys: IDL.Func([IDL.Text], [Result_EncryptionKeys], []),
+        issueMedicalRecord: IDL.Func(
+            [
+                IDL.Text,
+                RecordType,
+                IDL.Vec(IDL.Nat8),
+                IDL.Text,
+                RecordMetadata,
+                IDL.Vec(IDL.Tuple(IDL.Principal, IDL.Vec(IDL.Nat8))),
+                IDL.Vec(IDL.Nat8),
+                IDL.Vec(IDL.Nat8)
+            ],
+            [Result_Summary],
+            []
+        ),
+        signMedicalRecord: IDL.Func([IDL.Nat, IDL.Vec(IDL.Nat8), IDL.Vec(IDL.Nat8)], [Result_Summary], []),
         getTotalPatients: IDL.Func([], [IDL.Nat], ["query"]),
         getTotalRecords: IDL.Func([], [IDL.Nat], ["query"]),
     });
@@ -137,6 +590,87 @@ let userDID = null;
 let userProfile = null;
 let userRecords = [];
 let accessGrants = [];
+let encryptionKeyPair = null;
+let deviceKeyPair = null;   // Key pair this browser receives keys from our other devices with
+let sharedKeys = new Map(); // recordId -> key data unwrapped from grants made to us
+let appMode = "patient";
+let receivedGrants = [];
+let providerRecords = [];
+let editingRecordId = null;
+let auditOffset = 0;
+let keyVault = null;
+let deviceInfo = null;
+let myDevices = [];
+let pairingPollTimer = null;
+let recordAttachments = new Map(); // attachmentId -> { attachment, header } for the open record
+let attachmentPreviewUrl = null;
+let contentIndex = new Map(); // recordId -> searchable text of the decrypted record
+let contentIndexReady = false;
+let recordsCursor = null;     // ID of the oldest record loaded so far
+let recordsComplete = false;  // True once every page of our records has been loaded
+let recordsSyncedAt = null;   // Backend timestamp to fetch later changes from
+let recordsLoading = null;    // Promise of the page being loaded
+let recordDataCache = new Map(); // recordId -> { updatedAt, encryptedData } fetched on demand
+let accessRequests = [];       // Requests providers have sent us
+let sentAccessRequests = [];   // Requests we have sent to patients as a provider
+let respondingRequestId = null; // Access request being approved with edited terms
+let editingGrantId = null;      // Grant being changed in the grant modal
+let grantHistory = [];         // Expired grants the canister has moved out of the active list
+let emergencyProfile = null;
+let breakGlassEvents = [];
+let emergencyVerification = null; // Our verification as an emergency provider, if any
+let actingFor = null;          // DID of the patient we manage records for as a caregiver, null for our own
+let dependents = [];           // Patients we are a caregiver for
+let caregivers = [];           // Caregivers of the patient whose records are shown
+let signingKeyPair = null;     // Our ECDSA key pair for signing records as a provider
+let issuingForDid = null;      // Patient DID we are issuing a signed record to from the record form
+let signatureChecks = new Map(); // recordId -> { checkedFor, status } from verifying provider signatures
+let publicActor = null;        // Anonymous actor for verifying credentials before login
+let didResolution = null;      // Resolved DID document of the patient whose records are shown
+let keyRotationRunning = false; // True while the bulk re-encryption job is working through records
+let recordsView = "list";      // How the records card shows records: "list", "timeline" or "trends"
+let recordContents = new Map(); // recordId -> { updatedAt, content } decrypted for charts and the medication list
+let trendSeries = [];          // Series that can be charted from the shown records
+let trendsRender = 0;          // Incremented per trend render, so an outdated one stops early
+let medicationsRender = 0;     // Incremented per medication list render, likewise
+let conflictCheck = 0;         // Incremented per prescription conflict check in the record form
+
+// Encode bytes as base64 text
+function toBase64(bytes) {
+    let binary = "";
+    bytes.forEach(b => { binary += String.fromCharCode(b); });
+    return btoa(binary);
+}
+
+// Decode base64 text into bytes
+function fromBase64(text) {
+    return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
+
+// Format a date as YYYY-MM-DD in the local calendar, like the dates entered in record forms
+function localDateString(date = new Date()) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+}
+
+// Compare two byte arrays
+function bytesEqual(a, b) {
+    return a.length === b.length && Array.from(a).every((byte, i) => byte === b[i]);
+}
+
+// Escape text written by someone else before putting it into HTML
+function escapeHtml(text) {
+    return text.replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+}
+
+// Optional argument naming the patient we act for, passed to calls that accept one
+function onBehalfOf() {
+    return actingFor ? [actingFor] : [];
+}
+
+// Remember when the local key store last changed so we can tell if the backup is stale
+function markKeysChanged() {
+    localStorage.setItem(KEYS_CHANGED_AT, Date.now().toString());
+}
 
 // Encryption utilities using Web Crypto API
 const crypto = {
@@ -169,13 +703,17 @@ const crypto = {
 
     // Encrypt data
     async encrypt(data, key) {
+        return await this.encryptBytes(new TextEncoder().encode(data), key);
+    },
+
+    // Encrypt binary data, e.g. a chunk of an attached file
+    async encryptBytes(bytes, key) {
         const iv = window.crypto.getRandomValues(new Uint8Array(12));
-        const encodedData = new TextEncoder().encode(data);
         
         const encrypted = await window.crypto.subtle.encrypt(
             { name: "AES-GCM", iv: iv },
             key,
-            encodedData
+            bytes
         );
 
         // Combine IV and encrypted data
@@ -188,6 +726,11 @@ const crypto = {
 
     // Decrypt data
     async decrypt(encryptedData, key) {
+        return new TextDecoder().decode(await this.decryptBytes(encryptedData, key));
+    },
+
+    // Decrypt binary data
+    async decryptBytes(encryptedData, key) {
         const iv = encryptedData.slice(0, 12);
         const data = encryptedData.slice(12);
         
@@ -197,22 +740,151 @@ const crypto = {
             data
         );
         
-        return new TextDecoder().decode(decrypted);
+        return new Uint8Array(decrypted);
     },
 
     // Hash key for verification
     async hashKey(key) {
         const exported = await this.exportKey(key);
-        const hashBuffer = await window.crypto.subtle.digest("SHA-256", exported);
+        return await this.hashKeyData(exported);
+    },
+
+    // Hash raw key data for verification
+    async hashKeyData(keyData) {
+        return await this.hashBytes(keyData);
+    },
+
+    // SHA-256 hash of bytes as hex, e.g. of a record's ciphertext
+    async hashBytes(bytes) {
+        const hashBuffer = await window.crypto.subtle.digest("SHA-256", bytes);
         const hashArray = Array.from(new Uint8Array(hashBuffer));
         return hashArray.map(b => b.toString(16).padStart(2, "0")).join("");
     },
 
-    // Store key using IndexedDB with encryption for improved security
+    // Generate an RSA-OAEP key pair used to receive record keys from patients
+    async generateKeyPair() {
+        return await window.crypto.subtle.generateKey(
+            {
+                name: "RSA-OAEP",
+                modulusLength: 2048,
+                publicExponent: new Uint8Array([1, 0, 1]),
+                hash: "SHA-256"
+            },
+            true,
+            ["encrypt", "decrypt"]
+        );
+    },
+
+    // Export public key to SPKI format for publishing
+    async exportPublicKey(publicKey) {
+        const exported = await window.crypto.subtle.exportKey("spki", publicKey);
+        return new Uint8Array(exported);
+    },
+
+    // Import a published SPKI public key
+    async importPublicKey(keyData) {
+        return await window.crypto.subtle.importKey(
+            "spki",
+            keyData,
+            { name: "RSA-OAEP", hash: "SHA-256" },
+            true,
+            ["encrypt"]
+        );
+    },
+
+    // Wrap raw record key data for the holder of a public key
+    async wrapKeyData(keyData, publicKey) {
+        const wrapped = await window.crypto.subtle.encrypt(
+            { name: "RSA-OAEP" },
+            publicKey,
+            keyData
+        );
+        return new Uint8Array(wrapped);
+    },
+
+    // Unwrap record key data with our private key
+    async unwrapKeyData(wrappedKey, privateKey) {
+        const keyData = await window.crypto.subtle.decrypt(
+            { name: "RSA-OAEP" },
+            privateKey,
+            wrappedKey
+        );
+        return new Uint8Array(keyData);
+    },
+
+    // Encrypt our encryption key pair for another of our devices; RSA-OAEP only fits short messages,
+    // so the pair goes under a fresh AES key and that key is wrapped for the device
+    async wrapKeyPair(keyPair, publicKey) {
+        const key = await this.generateKey();
+        const exported = JSON.stringify({
+            publicKey: toBase64(await this.exportPublicKey(keyPair.publicKey)),
+            privateKey: toBase64(new Uint8Array(await window.crypto.subtle.exportKey("pkcs8", keyPair.privateKey)))
+        });
+        return new TextEncoder().encode(JSON.stringify({
+            wrappedKey: toBase64(await this.wrapKeyData(await this.exportKey(key), publicKey)),
+            keyPair: toBase64(await this.encrypt(exported, key))
+        }));
+    },
+
+    // Unwrap an encryption key pair sent by another of our devices
+    async unwrapKeyPair(wrapped, privateKey) {
+        const { wrappedKey, keyPair } = JSON.parse(new TextDecoder().decode(wrapped));
+        const key = await this.importKey(await this.unwrapKeyData(fromBase64(wrappedKey), privateKey));
+        const exported = JSON.parse(await this.decrypt(fromBase64(keyPair), key));
+        return {
+            publicKey: await this.importPublicKey(fromBase64(exported.publicKey)),
+            privateKey: await window.crypto.subtle.importKey(
+                "pkcs8",
+                fromBase64(exported.privateKey),
+                { name: "RSA-OAEP", hash: "SHA-256" },
+                true,
+                ["decrypt"]
+            )
+        };
+    },
+
+    // Generate an ECDSA P-256 key pair used to sign the records we issue as a provider
+    // The private key is not extractable; the public key always is
+    async generateSigningKeyPair() {
+        return await window.crypto.subtle.generateKey(
+            { name: "ECDSA", namedCurve: "P-256" },
+            false,
+            ["sign", "verify"]
+        );
+    },
+
+    // Sign bytes with our private signing key
+    async sign(bytes, privateKey) {
+        const signature = await window.crypto.subtle.sign(
+            { name: "ECDSA", hash: "SHA-256" },
+            privateKey,
+            bytes
+        );
+        return new Uint8Array(signature);
+    },
+
+    // Check a signature over bytes against a published SPKI signing key
+    async verifySignature(publicKeyData, signature, bytes) {
+        const publicKey = await window.crypto.subtle.importKey(
+            "spki",
+            publicKeyData,
+            { name: "ECDSA", namedCurve: "P-256" },
+            false,
+            ["verify"]
+        );
+        return await window.crypto.subtle.verify(
+            { name: "ECDSA", hash: "SHA-256" },
+            publicKey,
+            signature,
+            bytes
+        );
+    },
+
+    // Open the IndexedDB key database, creating object stores as needed
     // Note: In production, consider using hardware security modules or secure enclaves
-    async storeKey(recordId, keyData) {
+    openKeyDb() {
         return new Promise((resolve, reject) => {
-            const request = indexedDB.open("serum_keys_db", 1);
+            const request = indexedDB.open(KEYS_DB_NAME, KEYS_DB_VERSION);
             
             request.onerror = () => reject(request.error);
             
@@ -221,91 +893,471 @@ const crypto = {
                 if (!db.objectStoreNames.contains("keys")) {
                     db.createObjectStore("keys", { keyPath: "recordId" });
                 }
+                if (!db.objectStoreNames.contains("identity")) {
+                    db.createObjectStore("identity", { keyPath: "id" });
+                }
+                if (!db.objectStoreNames.contains("search")) {
+                    db.createObjectStore("search", { keyPath: "recordId" });
+                }
             };
             
-            request.onsuccess = (event) => {
-                const db = event.target.result;
-                const transaction = db.transaction(["keys"], "readwrite");
-                const store = transaction.objectStore("keys");
-                store.put({ recordId: recordId.toString(), keyData: Array.from(keyData) });
-                transaction.oncomplete = () => resolve();
-                transaction.onerror = () => reject(transaction.error);
+            request.onsuccess = (event) => resolve(event.target.result);
+        });
+    },
+
+    // Store record key in IndexedDB
+    async storeKey(recordId, keyData) {
+        const db = await this.openKeyDb();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(["keys"], "readwrite");
+            const store = transaction.objectStore("keys");
+            store.put({ recordId: recordId.toString(), keyData: Array.from(keyData) });
+            transaction.oncomplete = () => {
+                if (!recordId.toString().endsWith(":pending")) markKeysChanged();
+                resolve();
             };
+            transaction.onerror = () => reject(transaction.error);
         });
     },
 
     // Retrieve stored key from IndexedDB
     async getStoredKey(recordId) {
+        const db = await this.openKeyDb();
         return new Promise((resolve, reject) => {
-            const request = indexedDB.open("serum_keys_db", 1);
-            
-            request.onerror = () => reject(request.error);
+            const transaction = db.transaction(["keys"], "readonly");
+            const store = transaction.objectStore("keys");
+            const getRequest = store.get(recordId.toString());
             
-            request.onupgradeneeded = (event) => {
-                const db = event.target.result;
-                if (!db.objectStoreNames.contains("keys")) {
-                    db.createObjectStore("keys", { keyPath: "recordId" });
+            getRequest.onsuccess = () => {
+                if (getRequest.result) {
+                    resolve(new Uint8Array(getRequest.result.keyData));
+                } else {
+                    resolve(null);
                 }
             };
-            
-            request.onsuccess = (event) => {
-                const db = event.target.result;
-                const transaction = db.transaction(["keys"], "readonly");
-                const store = transaction.objectStore("keys");
-                const getRequest = store.get(recordId.toString());
-                
-                getRequest.onsuccess = () => {
-                    if (getRequest.result) {
-                        resolve(new Uint8Array(getRequest.result.keyData));
-                    } else {
-                        resolve(null);
-                    }
-                };
-                getRequest.onerror = () => reject(getRequest.error);
-            };
+            getRequest.onerror = () => reject(getRequest.error);
         });
-    }
-};
+    },
 
-// Initialize the application
-async function init() {
-    try {
-        // Create auth client
-        authClient = await AuthClient.create();
+    // Find the current or a retired key of a record matching a key hash
+    async getKeyForHash(recordId, keyHash) {
+        const db = await this.openKeyDb();
+        const entry = await new Promise((resolve, reject) => {
+            const transaction = db.transaction(["keys"], "readonly");
+            const getRequest = transaction.objectStore("keys").get(recordId.toString());
+            getRequest.onsuccess = () => resolve(getRequest.result);
+            getRequest.onerror = () => reject(getRequest.error);
+        });
+        if (!entry) return null;
 
-        // Check if user is already authenticated
-        if (await authClient.isAuthenticated()) {
-            await handleAuthenticated();
+        for (const candidate of [entry.keyData, ...(entry.previousKeys || [])]) {
+            const keyData = new Uint8Array(candidate);
+            if (await this.hashKeyData(keyData) === keyHash) {
+                return keyData;
+            }
         }
+        return null;
+    },
 
-        // Setup event listeners
-        setupEventListeners();
-    } catch (error) {
-        console.error("Failed to initialize:", error);
-        showMessage("Failed to initialize application", "error");
-    }
-}
+    // Store a replacement key for a record until its re-encrypted data is saved
+    async storePendingKey(recordId, keyData) {
+        await this.storeKey(`${recordId}:pending`, keyData);
+    },
 
-// Setup event listeners
-function setupEventListeners() {
-    // Auth buttons
+    // Swap a record's pending key in as its current key in a single transaction,
+    // retiring the previous key so older record versions stay decryptable
+    async commitPendingKey(recordId) {
+        const db = await this.openKeyDb();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(["keys"], "readwrite");
+            const store = transaction.objectStore("keys");
+            const currentRequest = store.get(recordId.toString());
+
+            currentRequest.onsuccess = () => {
+                const current = currentRequest.result;
+                const pendingRequest = store.get(`${recordId}:pending`);
+
+                pendingRequest.onsuccess = () => {
+                    if (!pendingRequest.result) return;
+
+                    const previousKeys = current
+                        ? [...(current.previousKeys || []), current.keyData]
+                        : [];
+                    store.put({
+                        recordId: recordId.toString(),
+                        keyData: pendingRequest.result.keyData,
+                        previousKeys
+                    });
+                    store.delete(`${recordId}:pending`);
+                };
+            };
+            transaction.oncomplete = () => {
+                markKeysChanged();
+                resolve();
+            };
+            transaction.onerror = () => reject(transaction.error);
+        });
+    },
+
+    // Drop a pending key after a failed update
+    async discardPendingKey(recordId) {
+        const db = await this.openKeyDb();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(["keys"], "readwrite");
+            transaction.objectStore("keys").delete(`${recordId}:pending`);
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    },
+
+    // Derive an AES-GCM key from a passphrase for the key vault
+    async deriveVaultKey(passphrase, salt, iterations) {
+        const baseKey = await window.crypto.subtle.importKey(
+            "raw",
+            new TextEncoder().encode(passphrase),
+            "PBKDF2",
+            false,
+            ["deriveKey"]
+        );
+        return await window.crypto.subtle.deriveKey(
+            { name: "PBKDF2", salt, iterations, hash: "SHA-256" },
+            baseKey,
+            { name: "AES-GCM", length: 256 },
+            false,
+            ["encrypt", "decrypt"]
+        );
+    },
+
+    // Read every record key entry (current and retired keys), skipping pending keys
+    async getAllKeyEntries() {
+        const db = await this.openKeyDb();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(["keys"], "readonly");
+            const getRequest = transaction.objectStore("keys").getAll();
+            getRequest.onsuccess = () => {
+                resolve(getRequest.result.filter(entry => !entry.recordId.endsWith(":pending")));
+            };
+            getRequest.onerror = () => reject(getRequest.error);
+        });
+    },
+
+    // Merge restored key entries into the key store, keeping keys already on this device
+    async mergeKeyEntries(entries) {
+        const db = await this.openKeyDb();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(["keys"], "readwrite");
+            const store = transaction.objectStore("keys");
+
+            entries.forEach(entry => {
+                const getRequest = store.get(entry.recordId);
+                getRequest.onsuccess = () => {
+                    const existing = getRequest.result;
+                    if (!existing) {
+                        store.put(entry);
+                        return;
+                    }
+
+                    // Fold restored keys into the local entry's retired keys
+                    const known = [existing.keyData, ...(existing.previousKeys || [])].map(k => k.join(","));
+                    const restored = [...(entry.previousKeys || []), entry.keyData]
+                        .filter(k => !known.includes(k.join(",")));
+                    if (restored.length > 0) {
+                        store.put({
+                            ...existing,
+                            previousKeys: [...(existing.previousKeys || []), ...restored]
+                        });
+                    }
+                };
+            });
+
+            transaction.oncomplete = () => {
+                markKeysChanged();
+                resolve();
+            };
+            transaction.onerror = () => reject(transaction.error);
+        });
+    },
+
+    // Take in a record key received from another device, as the current or a retired key
+    async adoptKey(recordId, keyData, isCurrent) {
+        const db = await this.openKeyDb();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(["keys"], "readwrite");
+            const store = transaction.objectStore("keys");
+            const getRequest = store.get(recordId.toString());
+
+            getRequest.onsuccess = () => {
+                const existing = getRequest.result;
+                const incoming = Array.from(keyData);
+                const incomingText = incoming.join(",");
+
+                if (!existing) {
+                    store.put({ recordId: recordId.toString(), keyData: incoming, previousKeys: [] });
+                    return;
+                }
+
+                const previousKeys = (existing.previousKeys || []).filter(k => k.join(",") !== incomingText);
+                if (isCurrent) {
+                    if (existing.keyData.join(",") !== incomingText) {
+                        previousKeys.push(existing.keyData);
+                    }
+                    store.put({ ...existing, keyData: incoming, previousKeys });
+                } else if (existing.keyData.join(",") !== incomingText &&
+                    previousKeys.length === (existing.previousKeys || []).length) {
+                    store.put({ ...existing, previousKeys: [...previousKeys, incoming] });
+                }
+            };
+            transaction.oncomplete = () => {
+                markKeysChanged();
+                resolve();
+            };
+            transaction.onerror = () => reject(transaction.error);
+        });
+    },
+
+    // Read an entry from the identity store
+    async getIdentityEntry(id) {
+        const db = await this.openKeyDb();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(["identity"], "readonly");
+            const getRequest = transaction.objectStore("identity").get(id);
+            getRequest.onsuccess = () => resolve(getRequest.result || null);
+            getRequest.onerror = () => reject(getRequest.error);
+        });
+    },
+
+    // Write an entry to the identity store
+    async putIdentityEntry(entry) {
+        const db = await this.openKeyDb();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(["identity"], "readwrite");
+            transaction.objectStore("identity").put(entry);
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    },
+
+    // Get the key encrypting the on-device search index, creating it on first use
+    async getSearchIndexKey() {
+        const entry = await this.getIdentityEntry("search-index");
+        if (entry) return entry.key;
+
+        // Non-extractable: it can encrypt and decrypt the index but never leave this browser
+        const key = await window.crypto.subtle.generateKey(
+            { name: "AES-GCM", length: 256 },
+            false,
+            ["encrypt", "decrypt"]
+        );
+        await this.putIdentityEntry({ id: "search-index", key });
+        return key;
+    },
+
+    // Get all encrypted search index entries
+    async getSearchEntries() {
+        const db = await this.openKeyDb();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(["search"], "readonly");
+            const getRequest = transaction.objectStore("search").getAll();
+            getRequest.onsuccess = () => resolve(getRequest.result);
+            getRequest.onerror = () => reject(getRequest.error);
+        });
+    },
+
+    // Store the encrypted search index entry of a record
+    async putSearchEntry(entry) {
+        const db = await this.openKeyDb();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(["search"], "readwrite");
+            transaction.objectStore("search").put(entry);
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    },
+
+    // Remove a record from the search index
+    async deleteSearchEntry(recordId) {
+        const db = await this.openKeyDb();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(["search"], "readwrite");
+            transaction.objectStore("search").delete(recordId.toString());
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    },
+
+    // Store our encryption key pair (CryptoKey objects are structured-cloneable)
+    async storeKeyPair(keyPair) {
+        const db = await this.openKeyDb();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(["identity"], "readwrite");
+            const store = transaction.objectStore("identity");
+            store.put({ id: "encryption", publicKey: keyPair.publicKey, privateKey: keyPair.privateKey });
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    },
+
+    // Retrieve our encryption key pair
+    async getKeyPair() {
+        const db = await this.openKeyDb();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(["identity"], "readonly");
+            const store = transaction.objectStore("identity");
+            const getRequest = store.get("encryption");
+            
+            getRequest.onsuccess = () => {
+                const result = getRequest.result;
+                resolve(result ? { publicKey: result.publicKey, privateKey: result.privateKey } : null);
+            };
+            getRequest.onerror = () => reject(getRequest.error);
+        });
+    }
+};
+
+// Initialize the application
+async function init() {
+    try {
+        // Create auth client
+        authClient = await AuthClient.create();
+
+        // Check if user is already authenticated
+        if (await authClient.isAuthenticated()) {
+            await handleAuthenticated();
+        }
+
+        // Setup event listeners
+        setupEventListeners();
+    } catch (error) {
+        console.error("Failed to initialize:", error);
+        showMessage("Failed to initialize application", "error");
+    }
+}
+
+// Setup event listeners
+function setupEventListeners() {
+    // Auth buttons
     document.getElementById("btn-login").addEventListener("click", login);
     document.getElementById("btn-logout").addEventListener("click", logout);
     document.getElementById("btn-get-started").addEventListener("click", login);
+    document.getElementById("btn-verify-credential").addEventListener("click", openVerifyCredentialModal);
+    document.getElementById("btn-provider-verify-credential").addEventListener("click", openVerifyCredentialModal);
+    document.getElementById("credential-file").addEventListener("change", verifyCredentialFile);
+
+    // Patient / provider mode
+    document.getElementById("btn-mode-patient").addEventListener("click", () => setMode("patient"));
+    document.getElementById("btn-mode-provider").addEventListener("click", () => setMode("provider"));
+    document.getElementById("btn-refresh-provider").addEventListener("click", loadProviderData);
+    document.getElementById("btn-request-access").addEventListener("click", () => showModal("modal-request-access"));
+    document.getElementById("request-access-form").addEventListener("submit", requestAccess);
+    document.getElementById("emergency-access-form").addEventListener("submit", breakGlass);
+
+    // Acting for a dependent and managing caregivers
+    document.getElementById("profile-switcher").addEventListener("change", (e) => switchProfile(e.target.value));
+    document.getElementById("btn-stop-acting").addEventListener("click", () => switchProfile(null));
+    document.getElementById("btn-add-caregiver").addEventListener("click", openCaregiverModal);
+    document.getElementById("caregiver-form").addEventListener("submit", addCaregiver);
+    document.getElementById("btn-add-dependent").addEventListener("click", () => showModal("modal-add-dependent"));
+    document.getElementById("dependent-form").addEventListener("submit", addDependent);
 
     // DID creation
     document.getElementById("btn-create-did").addEventListener("click", createDID);
+    document.getElementById("btn-view-did-document").addEventListener("click", openDIDDocumentModal);
+    document.getElementById("btn-download-did-document").addEventListener("click", downloadDIDDocument);
+    document.getElementById("btn-rotate-did-key").addEventListener("click", rotateDIDKey);
+    document.getElementById("btn-deactivate-did").addEventListener("click", deactivateDID);
 
     // Profile form
     document.getElementById("profile-form").addEventListener("submit", saveProfile);
 
+    // Record search and filters
+    ["records-search", "records-filter-type", "records-filter-from", "records-filter-to", "records-sort"].forEach(id => {
+        document.getElementById(id).addEventListener("input", async () => {
+            // Searching and sorting need every record, not just the pages scrolled so far
+            if (recordFiltersActive()) await ensureAllRecordsLoaded();
+            displayRecords(userRecords);
+        });
+    });
+
+    // Record list, timeline and trend charts
+    document.querySelectorAll("#records-view-switch .btn-mode").forEach(button => {
+        button.addEventListener("click", () => setRecordsView(button.dataset.view));
+    });
+    document.getElementById("trend-series").addEventListener("change", displayTrendChart);
+    document.getElementById("btn-share-chart").addEventListener("click", shareTrendChart);
+
+    // Load further pages of records as the list is scrolled
+    const recordsObserver = new IntersectionObserver((observed) => {
+        if (observed.some(entry => entry.isIntersecting) && (userDID || actingFor) && !recordsComplete) {
+            loadMoreRecords()
+                .then(() => {
+                    // Keep loading while the end of the list is still in view
+                    recordsObserver.unobserve(observed[0].target);
+                    recordsObserver.observe(observed[0].target);
+                })
+                .catch(error => console.error("Failed to load more records:", error));
+        }
+    });
+    recordsObserver.observe(document.getElementById("records-sentinel"));
+
+    // Pick up changes made on other devices when returning to the tab
+    document.addEventListener("visibilitychange", () => {
+        if (document.visibilityState === "visible" && recordsSyncedAt !== null && appMode === "patient") {
+            refreshRecords().catch(error => console.error("Failed to refresh records:", error));
+        }
+    });
+    document.getElementById("records-search-content").addEventListener("change", toggleContentSearch);
+
     // Record modal
-    document.getElementById("btn-add-record").addEventListener("click", () => showModal("modal-add-record"));
-    document.getElementById("record-form").addEventListener("submit", addRecord);
+    document.getElementById("btn-add-record").addEventListener("click", openAddRecordModal);
+    document.getElementById("record-form").addEventListener("submit", submitRecordForm);
+    document.getElementById("record-type").addEventListener("change", (e) => renderRecordFields(e.target.value));
+
+    // FHIR import and export
+    document.getElementById("btn-export-fhir").addEventListener("click", exportFhirBundle);
+    document.getElementById("btn-patient-summary").addEventListener("click", openPatientSummaryModal);
+    document.getElementById("patient-summary-form").addEventListener("submit", createPatientSummary);
+    document.getElementById("btn-print-summary").addEventListener("click", printPatientSummary);
+    document.getElementById("btn-import-fhir").addEventListener("click", () => document.getElementById("fhir-import-file").click());
+    document.getElementById("fhir-import-file").addEventListener("change", previewFhirImport);
+    document.getElementById("fhir-import-form").addEventListener("submit", importFhirRecords);
 
     // Access modal
-    document.getElementById("btn-grant-access").addEventListener("click", () => showModal("modal-grant-access"));
+    document.getElementById("btn-grant-access").addEventListener("click", () => openGrantAccessModal());
     document.getElementById("access-form").addEventListener("submit", grantAccess);
+    document.getElementById("access-filter-type").addEventListener("change", filterRecordCheckboxes);
+    document.getElementById("access-filter-tags").addEventListener("input", filterRecordCheckboxes);
+    document.getElementById("btn-select-shown").addEventListener("click", () => setShownRecordsChecked(true));
+    document.getElementById("btn-clear-selection").addEventListener("click", () => setShownRecordsChecked(false));
+    document.getElementById("grant-reminder-days").value = getGrantReminderDays();
+    document.getElementById("grant-reminder-days").addEventListener("change", (e) => {
+        localStorage.setItem(GRANT_REMINDER_DAYS_KEY, e.target.value);
+        displayAccessGrants(accessGrants);
+    });
+
+    // Emergency profile and break-glass notifications
+    document.getElementById("btn-edit-emergency").addEventListener("click", openEmergencyProfileModal);
+    document.getElementById("emergency-profile-form").addEventListener("submit", saveEmergencyProfile);
+    document.getElementById("btn-emergency-prescriptions").addEventListener("click", selectActivePrescriptions);
+    document.getElementById("btn-breakglass-seen").addEventListener("click", acknowledgeBreakGlassEvents);
+
+    // Key backup and recovery
+    document.getElementById("btn-backup-keys").addEventListener("click", () => openKeyVaultModal("backup"));
+    document.getElementById("btn-restore-keys").addEventListener("click", () => openKeyVaultModal("restore"));
+    document.getElementById("btn-warning-restore").addEventListener("click", () => openKeyVaultModal("restore"));
+    document.getElementById("key-vault-form").addEventListener("submit", submitKeyVaultForm);
+    document.getElementById("btn-rotate-keys").addEventListener("click", () => showModal("modal-key-rotation"));
+    document.getElementById("btn-export-archive").addEventListener("click", () => openArchiveModal("export"));
+    document.getElementById("btn-import-archive").addEventListener("click", () => openArchiveModal("import"));
+    document.getElementById("archive-form").addEventListener("submit", submitArchiveForm);
+    document.getElementById("key-rotation-form").addEventListener("submit", startKeyRotation);
+    document.getElementById("btn-resume-key-rotation").addEventListener("click", runKeyRotation);
+    document.getElementById("btn-cancel-key-rotation").addEventListener("click", cancelKeyRotation);
+
+    // Access history filters and paging
+    document.getElementById("audit-filter-provider").addEventListener("change", () => loadAuditLog(0));
+    document.getElementById("audit-filter-record").addEventListener("change", () => loadAuditLog(0));
+    document.getElementById("btn-audit-prev").addEventListener("click", () => loadAuditLog(auditOffset - AUDIT_PAGE_SIZE));
+    document.getElementById("btn-audit-next").addEventListener("click", () => loadAuditLog(auditOffset + AUDIT_PAGE_SIZE));
 
     // Modal close buttons
     document.querySelectorAll(".modal-close, .modal-cancel").forEach(btn => {
@@ -352,12 +1404,45 @@ async function logout() {
     userProfile = null;
     userRecords = [];
     accessGrants = [];
+    encryptionKeyPair = null;
+    deviceKeyPair = null;
+    sharedKeys = new Map();
+    receivedGrants = [];
+    providerRecords = [];
+    keyVault = null;
+    deviceInfo = null;
+    myDevices = [];
+    stopPairingPoll();
+    contentIndex = new Map();
+    contentIndexReady = false;
+    recordsCursor = null;
+    recordsComplete = false;
+    recordsSyncedAt = null;
+    recordDataCache = new Map();
+    accessRequests = [];
+    sentAccessRequests = [];
+    respondingRequestId = null;
+    editingGrantId = null;
+    grantHistory = [];
+    emergencyProfile = null;
+    breakGlassEvents = [];
+    emergencyVerification = null;
+    actingFor = null;
+    dependents = [];
+    caregivers = [];
+    signingKeyPair = null;
+    issuingForDid = null;
+    signatureChecks = new Map();
+    didResolution = null;
+    recordContents = new Map();
+    trendSeries = [];
     
     // Update UI
     document.getElementById("btn-login").classList.remove("hidden");
     document.getElementById("user-info").classList.add("hidden");
     document.getElementById("section-landing").classList.remove("hidden");
     document.getElementById("section-dashboard").classList.add("hidden");
+    document.getElementById("section-provider").classList.add("hidden");
 }
 
 // Handle authenticated user
@@ -385,10 +1470,11 @@ async function handleAuthenticated() {
         document.getElementById("user-principal").textContent = 
             userPrincipal.toString().substring(0, 20) + "...";
         document.getElementById("section-landing").classList.add("hidden");
-        document.getElementById("section-dashboard").classList.remove("hidden");
+        document.getElementById("provider-principal").textContent = userPrincipal.toString();
 
         // Load user data
         await loadUserData();
+        await setMode(localStorage.getItem("serum_mode") || "patient");
     } catch (error) {
         console.error("Authentication handling failed:", error);
         showMessage("Failed to complete authentication", "error");
@@ -403,32 +1489,74 @@ async function loadUserData() {
         
         if ("ok" in didResult) {
             userDID = didResult.ok;
+            await ensureDIDKey();
             displayDID(userDID);
             document.getElementById("btn-create-did").classList.add("hidden");
         } else if ("err" in didResult && "NotFound" in didResult.err) {
             document.getElementById("did-value").textContent = "No DID created yet";
             document.getElementById("btn-create-did").classList.remove("hidden");
+            document.getElementById("did-actions").classList.add("hidden");
+        }
+
+        // Publish our encryption key and unwrap keys shared with us
+        await ensureEncryptionKeyPair();
+        await loadSharedKeys();
+
+        // Get the patients we can switch to as a caregiver
+        await loadDependents();
+        if (actingFor) {
+            displayDID({ identifier: actingFor });
         }
 
         // Get profile
-        const profileResult = await actor.getMyProfile();
+        const profileResult = await actor.getMyProfile(onBehalfOf());
         if ("ok" in profileResult) {
             userProfile = profileResult.ok;
             displayProfile(userProfile);
         }
 
-        // Get records
-        const recordsResult = await actor.getMyMedicalRecords();
-        if ("ok" in recordsResult) {
-            userRecords = recordsResult.ok;
-            displayRecords(userRecords);
+        // Get the first page of records, or just what changed if they are already loaded
+        if (userDID || actingFor) {
+            if (recordsSyncedAt === null) {
+                await loadMoreRecords();
+            } else {
+                await refreshRecords();
+            }
         }
 
-        // Get access grants
-        const grantsResult = await actor.getMyAccessGrants();
+        // Register this device and pick up keys sent from our other devices
+        await syncDevice();
+
+        // Get access grants and the ones that have expired
+        const grantsResult = await actor.getMyAccessGrants(onBehalfOf());
         if ("ok" in grantsResult) {
             accessGrants = grantsResult.ok;
-            displayAccessGrants(accessGrants);
+        }
+        await loadGrantHistory();
+        displayAccessGrants(accessGrants);
+
+        // Get access requests from providers
+        await loadAccessRequests();
+
+        // Get who else manages these records
+        await loadCaregivers();
+
+        // Get the emergency profile, and any break-glass reads of it (our own only)
+        await loadEmergencyProfile();
+        if (!actingFor) {
+            await loadBreakGlassEvents();
+        }
+
+        // Get access history
+        await loadAuditLog(0);
+
+        // Check key backup status and whether this device is missing keys
+        await loadKeyVaultStatus();
+        displayKeyRotation();
+
+        // Build the medication list from every prescription, not just the first page of records
+        if (userDID || actingFor) {
+            await loadMedications();
         }
     } catch (error) {
         console.error("Failed to load user data:", error);
@@ -436,343 +1564,5894 @@ async function loadUserData() {
     }
 }
 
-// Create DID
-async function createDID() {
+// Ensure this browser has an encryption key pair and that its public key is published
+async function ensureEncryptionKeyPair() {
     try {
-        const result = await actor.createDID();
-        
-        if ("ok" in result) {
-            userDID = result.ok;
-            displayDID(userDID);
-            document.getElementById("btn-create-did").classList.add("hidden");
-            showMessage("DID created successfully!", "success");
+        encryptionKeyPair = await crypto.getKeyPair();
+        if (!encryptionKeyPair) {
+            encryptionKeyPair = await crypto.generateKeyPair();
+            await crypto.storeKeyPair(encryptionKeyPair);
+        }
+
+        // The pair this browser starts with is also its device key, which stays when pairing
+        // later hands it our published pair
+        const deviceEntry = await crypto.getIdentityEntry("device-key");
+        if (deviceEntry) {
+            deviceKeyPair = { publicKey: deviceEntry.publicKey, privateKey: deviceEntry.privateKey };
         } else {
-            showMessage("Failed to create DID: " + Object.keys(result.err)[0], "error");
+            deviceKeyPair = encryptionKeyPair;
+            await crypto.putIdentityEntry({
+                id: "device-key",
+                publicKey: encryptionKeyPair.publicKey,
+                privateKey: encryptionKeyPair.privateKey
+            });
+        }
+
+        const publicKey = await crypto.exportPublicKey(encryptionKeyPair.publicKey);
+        const published = await actor.getEncryptionKey(userPrincipal);
+        const isPublished = "ok" in published &&
+            published.ok.publicKey.length === publicKey.length &&
+            published.ok.publicKey.every((byte, i) => byte === publicKey[i]);
+
+        // Another of our devices holds the published pair and sends it when it approves this one;
+        // publishing ours instead would lock that device out of keys shared afterwards
+        if (!isPublished && "ok" in published && await hasOtherTrustedDevice()) {
+            return;
+        }
+
+        if (!isPublished) {
+            const result = await actor.publishEncryptionKey(Array.from(publicKey));
+            if ("err" in result && "AlreadyExists" in result.err) {
+                // Record keys are wrapped for the published pair, so only a device holding it can share them
+                showMessage("Your shared record keys are locked to another device's key. Approve this device from it to read them here.", "error");
+            } else if ("err" in result) {
+                console.error("Failed to publish encryption key:", result.err);
+            }
         }
     } catch (error) {
-        console.error("Failed to create DID:", error);
-        showMessage("Failed to create DID", "error");
+        console.error("Failed to set up encryption key pair:", error);
     }
 }
 
-// Display DID
-function displayDID(did) {
-    document.getElementById("did-value").textContent = did.identifier;
+// Check whether a device other than this browser has been approved for our records
+async function hasOtherTrustedDevice() {
+    if (!userDID) return false;
+
+    const result = await actor.getMyDevices();
+    if (!("ok" in result)) return false;
+    const thisDevice = await crypto.getIdentityEntry("device");
+    return result.ok.some(device =>
+        "Approved" in device.status && (!thisDevice || device.deviceId !== thisDevice.deviceId));
 }
 
-// Save profile
-async function saveProfile(e) {
-    e.preventDefault();
-    
-    const name = document.getElementById("profile-name").value;
-    const dob = document.getElementById("profile-dob").value;
-    const bloodType = document.getElementById("profile-blood").value || null;
-    const allergiesText = document.getElementById("profile-allergies").value;
-    const allergies = allergiesText ? allergiesText.split(",").map(a => a.trim()) : [];
+// Unwrap record keys that patients have shared with us
+async function loadSharedKeys() {
+    sharedKeys = new Map();
+    if (!encryptionKeyPair) return;
 
     try {
-        const result = await actor.createOrUpdateProfile(
-            name,
-            dob,
-            bloodType ? [bloodType] : [],
-            allergies
-        );
+        const result = await actor.getMySharedKeys();
+        if (!("ok" in result)) return;
 
-        if ("ok" in result) {
-            userProfile = result.ok;
-            showMessage("Profile saved successfully!", "success");
-            
-            // Also ensure DID is created
-            if (!userDID) {
-                await loadUserData();
+        for (const wrapped of result.ok) {
+            try {
+                const keyData = await crypto.unwrapKeyData(
+                    new Uint8Array(wrapped.wrappedKey),
+                    encryptionKeyPair.privateKey
+                );
+                sharedKeys.set(wrapped.recordId.toString(), keyData);
+
+                // Keys of records a provider issued to us belong in our own key store, so they are backed up
+                if (userDID && wrapped.grantedBy === userDID.identifier && !(await crypto.getStoredKey(wrapped.recordId))) {
+                    await crypto.storeKey(wrapped.recordId, keyData);
+                }
+            } catch (error) {
+                // Wrapped for a key pair from another browser
+                console.warn(`Could not unwrap key for record ${wrapped.recordId}`);
             }
-        } else {
-            showMessage("Failed to save profile: " + Object.keys(result.err)[0], "error");
         }
     } catch (error) {
-        console.error("Failed to save profile:", error);
-        showMessage("Failed to save profile", "error");
+        console.error("Failed to load shared keys:", error);
     }
 }
 
-// Display profile
-function displayProfile(profile) {
-    document.getElementById("profile-name").value = profile.name || "";
-    document.getElementById("profile-dob").value = profile.dateOfBirth || "";
-    document.getElementById("profile-blood").value = 
-        profile.bloodType && profile.bloodType[0] ? profile.bloodType[0] : "";
-    document.getElementById("profile-allergies").value = 
-        profile.allergies ? profile.allergies.join(", ") : "";
+// Finish or roll back key replacements interrupted between the backend update and the key swap
+async function recoverPendingKeys(records) {
+    for (const record of records) {
+        try {
+            const pendingKeyData = await crypto.getStoredKey(`${record.id}:pending`);
+            if (!pendingKeyData) continue;
+
+            const pendingKey = await crypto.importKey(pendingKeyData);
+            if (await crypto.hashKey(pendingKey) === record.encryptionKeyHash) {
+                await crypto.commitPendingKey(record.id);
+            } else {
+                await crypto.discardPendingKey(record.id);
+            }
+        } catch (error) {
+            console.error(`Failed to recover pending key for record ${record.id}:`, error);
+        }
+    }
 }
 
-// Add medical record
-async function addRecord(e) {
-    e.preventDefault();
+// Load the next page of our records (summaries without their encrypted data)
+function loadMoreRecords() {
+    if (!recordsLoading) {
+        recordsLoading = fetchRecordPage().finally(() => {
+            recordsLoading = null;
+        });
+    }
+    return recordsLoading;
+}
 
-    try {
-        // Get form values
-        const recordType = document.getElementById("record-type").value;
-        const title = document.getElementById("record-title").value;
-        const provider = document.getElementById("record-provider").value;
-        const facility = document.getElementById("record-facility").value || null;
-        const dateOfService = document.getElementById("record-date").value;
-        const data = document.getElementById("record-data").value;
-        const tagsText = document.getElementById("record-tags").value;
-        const tags = tagsText ? tagsText.split(",").map(t => t.trim()) : [];
+async function fetchRecordPage() {
+    if (recordsComplete) return;
 
-        // Generate encryption key and encrypt data
-        const key = await crypto.generateKey();
-        const encryptedData = await crypto.encrypt(data, key);
-        const keyHash = await crypto.hashKey(key);
+    const result = await actor.getMyRecordsPage(recordsCursor === null ? [] : [recordsCursor], RECORD_PAGE_SIZE, onBehalfOf());
+    if (!("ok" in result)) {
+        throw new Error("Failed to load records: " + Object.keys(result.err)[0]);
+    }
 
-        // Convert record type to variant
-        const recordTypeVariant = { [recordType]: null };
+    const page = result.ok;
+    if (recordsSyncedAt === null) {
+        recordsSyncedAt = page.timestamp;
+    }
+    mergeRecords(page.records);
+    await recoverPendingKeys(page.records);
 
-        const metadata = {
-            title,
-            provider,
-            facility: facility ? [facility] : [],
-            dateOfService,
-            tags
-        };
+    recordsCursor = page.nextCursor.length > 0 ? page.nextCursor[0] : null;
+    recordsComplete = page.nextCursor.length === 0;
+    document.getElementById("records-sentinel").classList.toggle("hidden", recordsComplete);
 
-        const result = await actor.addMedicalRecord(
-            recordTypeVariant,
-            Array.from(encryptedData),
-            keyHash,
-            metadata
-        );
+    displayRecords(userRecords);
+    displayKeyVaultStatus();
+    verifyListedSignatures(page.records, () => displayRecords(userRecords));
+}
 
-        if ("ok" in result) {
-            const record = result.ok;
-            
-            // Store encryption key locally using IndexedDB
-            const keyData = await crypto.exportKey(key);
-            await crypto.storeKey(record.id, keyData);
+// Load every remaining page, for features that need all records
+async function ensureAllRecordsLoaded() {
+    while (!recordsComplete) {
+        await loadMoreRecords();
+    }
+}
 
-            userRecords.push(record);
-            displayRecords(userRecords);
-            hideModal("modal-add-record");
-            document.getElementById("record-form").reset();
-            showMessage("Medical record added successfully!", "success");
+// Add records to our list, replacing older copies of the same record
+function mergeRecords(records) {
+    for (const record of records) {
+        const index = userRecords.findIndex(r => r.id === record.id);
+        if (index >= 0) {
+            userRecords[index] = record;
         } else {
-            showMessage("Failed to add record: " + Object.keys(result.err)[0], "error");
+            userRecords.push(record);
         }
-    } catch (error) {
-        console.error("Failed to add record:", error);
-        showMessage("Failed to add record", "error");
     }
 }
 
-// Display records
-function displayRecords(records) {
-    const container = document.getElementById("records-list");
-    
-    if (records.length === 0) {
-        container.innerHTML = '<p class="empty-state">No medical records yet. Add your first record.</p>';
-        return;
+// Apply records added, updated or deleted since the last sync, e.g. on another device
+async function refreshRecords() {
+    const result = await actor.getRecordChangesSince(recordsSyncedAt, onBehalfOf());
+    if (!("ok" in result)) return;
+
+    const { updated, deleted, timestamp } = result.ok;
+    recordsSyncedAt = timestamp;
+    if (updated.length === 0 && deleted.length === 0) return;
+
+    const deletedIds = new Set(deleted.map(id => id.toString()));
+    userRecords = userRecords.filter(r => !deletedIds.has(r.id.toString()));
+    for (const recordId of deletedIds) {
+        contentIndex.delete(recordId);
+        await crypto.deleteSearchEntry(recordId);
     }
 
-    container.innerHTML = records.map(record => {
-        const recordType = Object.keys(record.recordType)[0];
-        return `
-            <div class="record-item" data-id="${record.id}">
-                <div class="record-info">
-                    <h4>${record.metadata.title}</h4>
-                    <p>${record.metadata.provider} • ${record.metadata.dateOfService}</p>
-                    <div class="record-meta">
-                        <span class="record-tag record-type">${recordType}</span>
-                        ${record.metadata.tags.map(tag => 
-                            `<span class="record-tag">${tag}</span>`
-                        ).join("")}
-                    </div>
-                </div>
-                <div class="record-actions">
-                    <button class="btn btn-secondary" onclick="viewRecord(${record.id})">View</button>
-                    <button class="btn btn-danger" onclick="deleteRecord(${record.id})">Delete</button>
-                </div>
-            </div>
-        `;
-    }).join("");
+    // Changes made at exactly the last sync time come back again; merging replaces our copies
+    mergeRecords(updated);
+    await recoverPendingKeys(updated);
+    if (deviceInfo) {
+        await importDeviceKeys();
+    }
+
+    displayRecords(userRecords);
+    displayKeyVaultStatus();
+    verifyListedSignatures(updated, () => displayRecords(userRecords));
 }
 
-// View record (decrypt and display)
-window.viewRecord = async function(recordId) {
+// Get a record's ciphertext, fetching it from the backend if only its summary is loaded
+async function getRecordCiphertext(record) {
+    if (record.encryptedData) {
+        return new Uint8Array(record.encryptedData);
+    }
+
+    const cached = recordDataCache.get(record.id.toString());
+    if (cached && cached.updatedAt === record.updatedAt) {
+        return cached.encryptedData;
+    }
+
+    const result = await actor.getRecordData(record.id);
+    if (!("ok" in result)) {
+        throw new Error("Failed to fetch record: " + Object.keys(result.err)[0]);
+    }
+
+    const encryptedData = new Uint8Array(result.ok.encryptedData);
+    recordDataCache.set(record.id.toString(), { updatedAt: result.ok.updatedAt, encryptedData });
+    return encryptedData;
+}
+
+// Get the key data for a record, from our own key store or from keys shared with us
+async function getRecordKeyData(recordId) {
+    const keyData = await crypto.getStoredKey(recordId);
+    return keyData || sharedKeys.get(recordId.toString()) || null;
+}
+
+// Get the key data that decrypts a given version of a record
+async function getVersionKeyData(recordId, keyHash) {
+    const keyData = await crypto.getKeyForHash(recordId, keyHash);
+    if (keyData) return keyData;
+
+    // Providers only hold the key of the record's current version
+    const sharedKey = sharedKeys.get(recordId.toString());
+    if (sharedKey && await crypto.hashKeyData(sharedKey) === keyHash) {
+        return sharedKey;
+    }
+    return null;
+}
+
+// Get the key data that decrypts a record's current version, checked against its encryptionKeyHash
+async function getCurrentKeyData(record) {
+    return await getVersionKeyData(record.id, record.encryptionKeyHash);
+}
+
+// Wrap the keys of the given records for a provider (or a caregiver) and store them next to their grant
+// Returns false if the recipient has not published an encryption key yet
+async function shareRecordKeys(providerPrincipal, records) {
+    const keyResult = await actor.getEncryptionKey(providerPrincipal);
+    if (!("ok" in keyResult)) {
+        return false;
+    }
+
+    const publicKey = await crypto.importPublicKey(new Uint8Array(keyResult.ok.publicKey));
+    const keys = [];
+    for (const record of records) {
+        const keyData = await getRecordKeyData(record.id);
+        if (keyData) {
+            const wrapped = await crypto.wrapKeyData(keyData, publicKey);
+            keys.push([record.id, Array.from(wrapped)]);
+        }
+    }
+
+    if (keys.length === 0) return true;
+
+    const result = await actor.shareRecordKeys(providerPrincipal, keys, onBehalfOf());
+    if ("err" in result) {
+        throw new Error("Failed to share record keys: " + Object.keys(result.err)[0]);
+    }
+    return true;
+}
+
+// Records covered by an access grant (empty recordIds means all records)
+function getGrantRecords(grant) {
+    if (grant.recordIds.length === 0) return userRecords;
+    const ids = grant.recordIds.map(id => id.toString());
+    return userRecords.filter(r => ids.includes(r.id.toString()));
+}
+
+// Check whether an access grant is still valid
+function isGrantActive(grant) {
+    return !(grant.expiresAt && grant.expiresAt[0]) ||
+        Number(grant.expiresAt[0]) / NANOSECONDS_PER_MILLISECOND > Date.now();
+}
+
+// Switch between the patient dashboard and the provider workspace
+async function setMode(mode) {
+    appMode = mode;
+    localStorage.setItem("serum_mode", mode);
+
+    document.getElementById("btn-mode-patient").classList.toggle("active", mode === "patient");
+    document.getElementById("btn-mode-provider").classList.toggle("active", mode === "provider");
+    document.getElementById("section-dashboard").classList.toggle("hidden", mode !== "patient");
+    document.getElementById("section-provider").classList.toggle("hidden", mode !== "provider");
+
+    if (mode === "provider") {
+        await loadProviderData();
+    }
+}
+
+// Load grants made to us and the records they cover
+async function loadProviderData() {
     try {
-        const record = userRecords.find(r => Number(r.id) === recordId);
-        if (!record) {
-            showMessage("Record not found", "error");
-            return;
+        const grantsResult = await actor.getGrantsToMe();
+        if ("ok" in grantsResult) {
+            receivedGrants = grantsResult.ok;
         }
 
-        const keyData = await crypto.getStoredKey(recordId);
-        if (!keyData) {
-            showMessage("Encryption key not found. Cannot decrypt record.", "error");
-            return;
+        const verificationResult = await actor.getMyEmergencyVerification();
+        emergencyVerification = "ok" in verificationResult ? verificationResult.ok : null;
+        document.getElementById("emergency-access-card").classList.toggle("hidden", !emergencyVerification);
+
+        const requestsResult = await actor.getMySentAccessRequests();
+        if ("ok" in requestsResult) {
+            sentAccessRequests = requestsResult.ok;
+            displaySentAccessRequests();
         }
 
-        const key = await crypto.importKey(keyData);
-        const encryptedData = new Uint8Array(record.encryptedData);
-        const decryptedData = await crypto.decrypt(encryptedData, key);
+        // Record contents are fetched when a record is opened
+        const records = [];
+        let cursor = [];
+        do {
+            const pageResult = await actor.getAccessibleRecordsPage(cursor, RECORD_PAGE_SIZE);
+            if (!("ok" in pageResult)) break;
+            records.push(...pageResult.ok.records);
+            cursor = pageResult.ok.nextCursor;
+        } while (cursor.length > 0);
+        providerRecords = records;
 
-        // Display in a secure modal instead of alert
-        showRecordModal(record.metadata.title, decryptedData);
+        await loadSharedKeys();
+        await ensureSigningKeyPair();
+        displayProviderWorkspace();
+        verifyListedSignatures(providerRecords, displayProviderWorkspace);
     } catch (error) {
-        console.error("Failed to decrypt record:", error);
-        showMessage("Failed to decrypt record", "error");
+        console.error("Failed to load provider data:", error);
+        showMessage("Failed to load shared records", "error");
     }
-};
+}
 
-// Secure modal for displaying decrypted medical data
-function showRecordModal(title, data) {
-    // Create or reuse modal
-    let modal = document.getElementById("modal-view-record");
-    if (!modal) {
-        modal = document.createElement("div");
-        modal.id = "modal-view-record";
-        modal.className = "modal";
-        modal.innerHTML = `
-            <div class="modal-content">
-                <div class="modal-header">
-                    <h3 id="view-record-title">Record Details</h3>
-                    <button class="modal-close" onclick="hideModal('modal-view-record')">&times;</button>
-                </div>
-                <div class="form-group">
-                    <label>Medical Data</label>
-                    <pre id="view-record-data" style="white-space: pre-wrap; word-wrap: break-word; background: var(--background); padding: 1rem; border-radius: 0.5rem; max-height: 400px; overflow-y: auto;"></pre>
+// Display patients who granted us access, with their grants and accessible records
+function displayProviderWorkspace() {
+    const container = document.getElementById("provider-patients-list");
+    const patientDids = [...new Set(receivedGrants.map(g => g.grantedBy))];
+
+    if (patientDids.length === 0) {
+        container.innerHTML = '<p class="empty-state">No patients have shared records with you yet.</p>';
+        return;
+    }
+
+    container.innerHTML = patientDids.map(patientDid => {
+        const grants = receivedGrants.filter(g => g.grantedBy === patientDid);
+        const records = providerRecords.filter(r => r.patientDid === patientDid);
+
+        return `
+            <div class="patient-item">
+                <h4>${escapeHtml(patientDid)}</h4>
+                <div class="patient-grants">
+                    ${grants.map(grant => `
+                        <div class="grant-summary ${isGrantActive(grant) ? "" : "grant-expired"}">
+                            <p>Expires: ${formatGrantExpiry(grant)}${isGrantActive(grant) ? "" : " (expired)"}</p>
+                            <p>Scope: ${grant.recordIds.length === 0 ? "All records" : grant.recordIds.length + " record(s)"}</p>
+                            <div class="access-permissions">
+                                ${grant.permissions.map(p => 
+                                    `<span class="permission-badge">${Object.keys(p)[0]}</span>`
+                                ).join("")}
+                            </div>
+                        </div>
+                    `).join("")}
                 </div>
-                <div class="form-actions">
-                    <button class="btn btn-secondary" onclick="hideModal('modal-view-record')">Close</button>
+                ${canIssueRecord(patientDid) ? `
+                    <div class="access-actions">
+                        <button class="btn btn-secondary" onclick="openIssueRecordModal('${patientDid}')">+ Issue Signed Record</button>
+                    </div>
+                ` : ""}
+                <div class="records-list">
+                    ${records.length === 0
+                        ? '<p class="empty-state">No records currently accessible.</p>'
+                        : records.map(record => `
+                            <div class="record-item" data-id="${record.id}">
+                                <div class="record-info">
+                                    <h4>${escapeHtml(record.metadata.title)}</h4>
+                                    <p>${escapeHtml(record.metadata.provider)} • ${escapeHtml(record.metadata.dateOfService)}</p>
+                                    <div class="record-meta">
+                                        <span class="record-tag record-type">${Object.keys(record.recordType)[0]}</span>
+                                        ${signatureBadge(record)}
+                                        ${sharedKeys.has(record.id.toString()) ? "" : '<span class="record-tag key-missing">Key not shared</span>'}
+                                    </div>
+                                </div>
+                                <div class="record-actions">
+                                    <button class="btn btn-secondary" onclick="viewRecord(${record.id})">View</button>
+                                    ${canWriteRecord(record)
+                                        ? `<button class="btn btn-secondary" onclick="editRecord(${record.id})">Edit</button>`
+                                        : ""}
+                                </div>
+                            </div>
+                        `).join("")}
                 </div>
             </div>
         `;
-        document.body.appendChild(modal);
-        
-        // Close on outside click
-        modal.addEventListener("click", (e) => {
-            if (e.target === modal) hideModal("modal-view-record");
-        });
-    }
-    
-    document.getElementById("view-record-title").textContent = title;
-    document.getElementById("view-record-data").textContent = data;
-    modal.classList.remove("hidden");
+    }).join("");
 }
 
-// Delete record
-window.deleteRecord = async function(recordId) {
-    if (!confirm("Are you sure you want to delete this record?")) {
-        return;
-    }
-
+// Create DID
+async function createDID() {
     try {
-        const result = await actor.deleteMedicalRecord(recordId);
+        const result = await actor.createDID();
         
         if ("ok" in result) {
-            userRecords = userRecords.filter(r => Number(r.id) !== recordId);
-            displayRecords(userRecords);
-            showMessage("Record deleted successfully", "success");
+            userDID = result.ok;
+            await ensureDIDKey();
+            displayDID(userDID);
+            document.getElementById("btn-create-did").classList.add("hidden");
+            showMessage("DID created successfully!", "success");
         } else {
-            showMessage("Failed to delete record: " + Object.keys(result.err)[0], "error");
+            showMessage("Failed to create DID: " + Object.keys(result.err)[0], "error");
         }
     } catch (error) {
-        console.error("Failed to delete record:", error);
-        showMessage("Failed to delete record", "error");
+        console.error("Failed to create DID:", error);
+        showMessage("Failed to create DID", "error");
     }
-};
+}
 
-// Grant access
-async function grantAccess(e) {
-    e.preventDefault();
+// Display DID
+function displayDID(did) {
+    document.getElementById("did-value").textContent = did.identifier;
+    document.getElementById("did-actions").classList.remove("hidden");
+    loadDIDDocument(did.identifier);
+}
+
+// The DID shown on the dashboard: a dependent's while acting for them, otherwise our own
+function shownDid() {
+    return actingFor || (userDID ? userDID.identifier : null);
+}
 
+// Resolve the shown DID and display its status
+async function loadDIDDocument(didIdentifier) {
     try {
-        const principalText = document.getElementById("access-principal").value;
-        const principal = Principal.fromText(principalText);
-        
-        const permissionCheckboxes = document.querySelectorAll('input[name="permission"]:checked');
-        const permissions = Array.from(permissionCheckboxes).map(cb => ({ [cb.value]: null }));
+        const result = await actor.resolveDID(didIdentifier);
+        if (didIdentifier !== shownDid()) return;
+        didResolution = "ok" in result ? result.ok : null;
+    } catch (error) {
+        console.error("Failed to resolve DID:", error);
+        didResolution = null;
+    }
+    displayDIDStatus();
+}
 
-        const expiryInput = document.getElementById("access-expiry").value;
-        const expiresAt = expiryInput 
-            ? [BigInt(new Date(expiryInput).getTime() * NANOSECONDS_PER_MILLISECOND)]
-            : [];
+// Show whether the shown DID is active and how many keys its document lists
+function displayDIDStatus() {
+    const status = document.getElementById("did-status");
+    if (!didResolution) {
+        status.textContent = "";
+        document.getElementById("btn-rotate-did-key").classList.add("hidden");
+        document.getElementById("btn-deactivate-did").classList.add("hidden");
+        return;
+    }
+
+    const { didDocument, didDocumentMetadata } = didResolution;
+    const deactivated = didDocumentMetadata.deactivated;
+    status.className = "did-status" + (deactivated ? " did-deactivated" : "");
+    status.textContent = deactivated
+        ? `Deactivated on ${formatTimestamp(didDocumentMetadata.updated)}`
+        : `Active · ${didDocument.authentication.length} authentication key${didDocument.authentication.length === 1 ? "" : "s"} · ` +
+            `updated ${formatTimestamp(didDocumentMetadata.updated)}`;
+
+    // Only the patient or a guardian can change a DID, and a deactivated one can't be changed at all
+    const canChange = !deactivated && canManageCaregivers();
+    document.getElementById("btn-rotate-did-key").classList.toggle("hidden", !canChange);
+    document.getElementById("btn-deactivate-did").classList.toggle("hidden", !canChange);
+}
+
+// Make sure our DID document lists a key to authenticate with, creating one on first use
+// Another device's key counts too, so devices don't keep rotating each other's keys out
+async function ensureDIDKey() {
+    try {
+        const result = await actor.resolveDID(userDID.identifier);
+        if (!("ok" in result)) return;
+
+        const { didDocument, didDocumentMetadata } = result.ok;
+        if (!didDocumentMetadata.deactivated && didDocument.authentication.length === 0) {
+            const rotated = await rotateDIDKeyPair(userDID.identifier, []);
+            if ("err" in rotated) {
+                console.error("Failed to add DID key:", rotated.err);
+            }
+        }
+    } catch (error) {
+        console.error("Failed to set up DID key:", error);
+    }
+}
 
-        // For now, grant access to all records (empty array means all)
-        const recordIds = [];
+// Generate a DID key pair in this browser and list its public key in the DID document
+async function rotateDIDKeyPair(didIdentifier, onBehalf) {
+    const keyPair = await crypto.generateSigningKeyPair();
+    const publicKey = await crypto.exportPublicKey(keyPair.publicKey);
+    const result = await actor.rotateDIDKey(Array.from(publicKey), onBehalf);
+    if ("ok" in result) {
+        await crypto.putIdentityEntry({
+            id: "did-key:" + didIdentifier,
+            publicKey: keyPair.publicKey,
+            privateKey: keyPair.privateKey
+        });
+    }
+    return result;
+}
 
-        const result = await actor.grantAccess(principal, recordIds, permissions, expiresAt);
+// Replace the shown DID's keys with a new one held by this browser
+async function rotateDIDKey() {
+    const didIdentifier = shownDid();
+    if (!didIdentifier || !confirm("Rotate the DID key? Other systems will no longer accept signatures from the current key.")) {
+        return;
+    }
 
+    try {
+        const result = await rotateDIDKeyPair(didIdentifier, onBehalfOf());
         if ("ok" in result) {
-            accessGrants.push(result.ok);
-            displayAccessGrants(accessGrants);
-            hideModal("modal-grant-access");
-            document.getElementById("access-form").reset();
-            showMessage("Access granted successfully!", "success");
+            didResolution = result.ok;
+            displayDIDStatus();
+            showMessage("DID key rotated", "success");
         } else {
-            showMessage("Failed to grant access: " + Object.keys(result.err)[0], "error");
+            showMessage("Failed to rotate DID key: " + Object.keys(result.err)[0], "error");
         }
     } catch (error) {
-        console.error("Failed to grant access:", error);
-        showMessage("Failed to grant access. Check the principal ID.", "error");
+        console.error("Failed to rotate DID key:", error);
+        showMessage("Failed to rotate DID key", "error");
     }
 }
 
-// Display access grants
-function displayAccessGrants(grants) {
-    const container = document.getElementById("access-list");
-    
-    if (grants.length === 0) {
-        container.innerHTML = '<p class="empty-state">No access grants yet. Share your records securely with healthcare providers.</p>';
+// Permanently deactivate the shown DID
+async function deactivateDID() {
+    const didIdentifier = shownDid();
+    if (!didIdentifier || !confirm(
+        `Deactivate ${didIdentifier}? This can't be undone: the DID will resolve without keys, its records can no longer be added to, changed or shared, and providers lose access to them.`
+    )) {
         return;
     }
 
-    container.innerHTML = grants.map(grant => {
-        const permissions = grant.permissions.map(p => Object.keys(p)[0]).join(", ");
-        const expiry = grant.expiresAt && grant.expiresAt[0] 
-            ? new Date(Number(grant.expiresAt[0]) / NANOSECONDS_PER_MILLISECOND).toLocaleDateString()
-            : "Never";
-        
-        return `
-            <div class="access-item">
-                <h4>Provider: ${grant.grantedTo.toString()}</h4>
-                <p>Expires: ${expiry}</p>
-                <div class="access-permissions">
-                    ${grant.permissions.map(p => 
-                        `<span class="permission-badge">${Object.keys(p)[0]}</span>`
-                    ).join("")}
-                </div>
-                <button class="btn btn-danger" style="margin-top: 0.5rem" 
-                    onclick="revokeAccess('${grant.grantedTo.toString()}')">
-                    Revoke Access
-                </button>
-            </div>
-        `;
-    }).join("");
+    try {
+        const result = await actor.deactivateDID(onBehalfOf());
+        if ("ok" in result) {
+            didResolution = result.ok;
+            displayDIDStatus();
+            showMessage("DID deactivated", "success");
+        } else {
+            showMessage("Failed to deactivate DID: " + Object.keys(result.err)[0], "error");
+        }
+    } catch (error) {
+        console.error("Failed to deactivate DID:", error);
+        showMessage("Failed to deactivate DID", "error");
+    }
 }
 
-// Revoke access
-window.revokeAccess = async function(principalText) {
-    if (!confirm("Are you sure you want to revoke access for this provider?")) {
+// Show the shown DID's document as JSON-LD
+async function openDIDDocumentModal() {
+    const didIdentifier = shownDid();
+    if (!didIdentifier) return;
+
+    await loadDIDDocument(didIdentifier);
+    if (!didResolution) {
+        showMessage("Failed to resolve DID", "error");
         return;
     }
 
     try {
-        const principal = Principal.fromText(principalText);
-        const result = await actor.revokeAccess(principal);
-        
+        // The canister renders the resolution result as JSON-LD; only the indentation is added here
+        document.getElementById("did-document-title").textContent = didIdentifier;
+        document.getElementById("did-document-json").textContent = JSON.stringify(JSON.parse(didResolution.jsonLd), null, 2);
+        showModal("modal-did-document");
+    } catch (error) {
+        console.error("Failed to render DID document:", error);
+        showMessage("Failed to render DID document", "error");
+    }
+}
+
+// Download the shown DID's resolution result as a JSON-LD file
+async function downloadDIDDocument() {
+    if (!didResolution) return;
+
+    try {
+        const resolution = JSON.parse(didResolution.jsonLd);
+        const blob = new Blob([JSON.stringify(resolution, null, 2)], { type: "application/did+ld+json" });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = `${didResolution.didDocument.id.replace(/:/g, "_")}.did.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    } catch (error) {
+        console.error("Failed to download DID document:", error);
+        showMessage("Failed to download DID document", "error");
+    }
+}
+
+// Save profile
+async function saveProfile(e) {
+    e.preventDefault();
+    
+    const name = document.getElementById("profile-name").value;
+    const dob = document.getElementById("profile-dob").value;
+    const bloodType = document.getElementById("profile-blood").value || null;
+    const allergiesText = document.getElementById("profile-allergies").value;
+    const allergies = allergiesText ? allergiesText.split(",").map(a => a.trim()) : [];
+
+    try {
+        const result = await actor.createOrUpdateProfile(
+            name,
+            dob,
+            bloodType ? [bloodType] : [],
+            allergies,
+            onBehalfOf()
+        );
+
         if ("ok" in result) {
-            accessGrants = accessGrants.filter(g => g.grantedTo.toString() !== principalText);
-            displayAccessGrants(accessGrants);
-            showMessage("Access revoked successfully", "success");
+            userProfile = result.ok;
+            showMessage("Profile saved successfully!", "success");
+            
+            if (actingFor) {
+                // The profile switcher shows the dependent's name
+                await loadDependents();
+            } else if (!userDID) {
+                // Also ensure DID is created
+                await loadUserData();
+            }
         } else {
-            showMessage("Failed to revoke access: " + Object.keys(result.err)[0], "error");
+            showMessage("Failed to save profile: " + Object.keys(result.err)[0], "error");
         }
     } catch (error) {
-        console.error("Failed to revoke access:", error);
-        showMessage("Failed to revoke access", "error");
+        console.error("Failed to save profile:", error);
+        showMessage("Failed to save profile", "error");
     }
+}
+
+// Display profile
+function displayProfile(profile) {
+    document.getElementById("profile-name").value = profile.name || "";
+    document.getElementById("profile-dob").value = profile.dateOfBirth || "";
+    document.getElementById("profile-blood").value = 
+        profile.bloodType && profile.bloodType[0] ? profile.bloodType[0] : "";
+    document.getElementById("profile-allergies").value = 
+        profile.allergies ? profile.allergies.join(", ") : "";
+}
+
+// Fields of the structured form for each record type; types without a schema are free text
+const RECORD_SCHEMAS = {
+    Diagnosis: [
+        { name: "condition", label: "Condition", required: true },
+        { name: "status", label: "Status", type: "select", options: ["active", "recurrence", "remission", "resolved"] },
+        { name: "onsetDate", label: "Onset Date", type: "date" },
+        { name: "notes", label: "Notes", type: "textarea" }
+    ],
+    Prescription: [
+        { name: "drug", label: "Drug", required: true, placeholder: "e.g., Amoxicillin" },
+        { name: "dose", label: "Dose", required: true, placeholder: "e.g., 500 mg" },
+        { name: "route", label: "Route", type: "select", required: true,
+            options: ["oral", "sublingual", "topical", "inhaled", "intravenous", "intramuscular", "subcutaneous", "rectal", "other"] },
+        { name: "frequency", label: "Frequency", required: true, placeholder: "e.g., twice daily" },
+        { name: "startDate", label: "Start Date", type: "date" },
+        { name: "stopDate", label: "Stop Date", type: "date" },
+        { name: "notes", label: "Notes", type: "textarea" }
+    ],
+    LabResult: [
+        { name: "analyte", label: "Analyte", required: true, placeholder: "e.g., Glucose" },
+        { name: "value", label: "Value", required: true, placeholder: "e.g., 5.4 or positive" },
+        { name: "unit", label: "Unit", placeholder: "e.g., mmol/L" },
+        { name: "referenceLow", label: "Reference Range Low", type: "number" },
+        { name: "referenceHigh", label: "Reference Range High", type: "number" },
+        { name: "notes", label: "Notes", type: "textarea" }
+    ],
+    VitalSigns: [
+        { name: "systolic", label: "Systolic BP", type: "number", unit: "mmHg", min: 40, max: 300, measurement: true },
+        { name: "diastolic", label: "Diastolic BP", type: "number", unit: "mmHg", min: 20, max: 200, measurement: true },
+        { name: "heartRate", label: "Heart Rate", type: "number", unit: "bpm", min: 20, max: 300, measurement: true },
+        { name: "temperature", label: "Temperature", type: "number", unit: "°C", min: 30, max: 45, measurement: true },
+        { name: "spo2", label: "SpO2", type: "number", unit: "%", min: 50, max: 100, measurement: true },
+        { name: "weight", label: "Weight", type: "number", unit: "kg", min: 0.5, max: 500, measurement: true },
+        { name: "notes", label: "Notes", type: "textarea" }
+    ],
+    Vaccination: [
+        { name: "vaccine", label: "Vaccine", required: true, placeholder: "e.g., Influenza" },
+        { name: "lotNumber", label: "Lot Number" },
+        { name: "doseNumber", label: "Dose Number", type: "number", min: 1, max: 20, integer: true },
+        { name: "site", label: "Injection Site", placeholder: "e.g., left deltoid" },
+        { name: "notes", label: "Notes", type: "textarea" }
+    ],
+    Allergy: [
+        { name: "substance", label: "Substance", required: true, placeholder: "e.g., Penicillin" },
+        { name: "reaction", label: "Reaction", placeholder: "e.g., hives" },
+        { name: "severity", label: "Severity", type: "select", options: ["mild", "moderate", "severe"] },
+        { name: "notes", label: "Notes", type: "textarea" }
+    ],
+    Procedure: [
+        { name: "procedure", label: "Procedure", required: true },
+        { name: "bodySite", label: "Body Site" },
+        { name: "outcome", label: "Outcome" },
+        { name: "notes", label: "Notes", type: "textarea" }
+    ],
+    Imaging: [
+        { name: "modality", label: "Modality", type: "select", required: true,
+            options: ["X-ray", "CT", "MRI", "Ultrasound", "Mammography", "PET", "Nuclear medicine", "Other"] },
+        { name: "bodyPart", label: "Body Part" },
+        { name: "findings", label: "Findings", type: "textarea" },
+        { name: "impression", label: "Impression", type: "textarea" }
+    ]
 };
 
+const RECORD_SCHEMA_VERSION = 1;
+
+// Parse decrypted record content into structured fields, or plain text for free-text and older records
+function parseRecordContent(text) {
+    try {
+        const parsed = JSON.parse(text);
+        if (parsed && RECORD_SCHEMAS[parsed.schema] && parsed.fields && typeof parsed.fields === "object") {
+            return { schema: parsed.schema, fields: parsed.fields, text: null };
+        }
+    } catch (error) {
+        // Not JSON, so a free-text record
+    }
+    return { schema: null, fields: null, text };
+}
+
+// Serialize structured fields for encryption
+function serializeRecordFields(recordType, fields) {
+    return JSON.stringify({ schema: recordType, version: RECORD_SCHEMA_VERSION, fields });
+}
+
+// Render the input fields for a record type into the record form
+function renderRecordFields(recordType, values = {}) {
+    const schema = RECORD_SCHEMAS[recordType];
+    const container = document.getElementById("record-fields");
+    const dataGroup = document.getElementById("record-data-group");
+    const dataInput = document.getElementById("record-data");
+
+    dataGroup.classList.toggle("hidden", Boolean(schema));
+    dataInput.required = !schema;
+    container.innerHTML = "";
+
+    // Warnings belong to the prescription being entered, so a new form starts without them
+    conflictCheck++;
+    document.getElementById("record-conflicts").classList.add("hidden");
+    document.getElementById("record-conflicts-ack").checked = false;
+    if (!schema) return;
+
+    for (const field of schema) {
+        const id = `record-field-${field.name}`;
+        const label = `${field.label}${field.unit ? ` (${field.unit})` : ""}`;
+        let input;
+        if (field.type === "select") {
+            input = `<select id="${id}"${field.required ? " required" : ""}>
+                <option value="">Select...</option>
+                ${field.options.map(o => `<option value="${o}">${o}</option>`).join("")}
+            </select>`;
+        } else if (field.type === "textarea") {
+            input = `<textarea id="${id}"></textarea>`;
+        } else {
+            const attrs = [
+                field.type === "number" ? `step="${field.integer ? 1 : "any"}"` : "",
+                field.min !== undefined ? `min="${field.min}"` : "",
+                field.max !== undefined ? `max="${field.max}"` : "",
+                field.placeholder ? `placeholder="${field.placeholder}"` : "",
+                field.required ? "required" : ""
+            ].filter(Boolean).join(" ");
+            input = `<input type="${field.type || "text"}" id="${id}" ${attrs}>`;
+        }
+        container.insertAdjacentHTML("beforeend", `
+            <div class="form-group">
+                <label for="${id}">${label}</label>
+                ${input}
+            </div>
+        `);
+
+        if (values[field.name] !== undefined && values[field.name] !== null) {
+            document.getElementById(id).value = values[field.name];
+        }
+    }
+
+    if (recordType === "Prescription") {
+        watchPrescriptionConflicts();
+    }
+}
+
+// Read the structured fields from the record form, leaving out empty ones
+function readRecordFields(recordType) {
+    const fields = {};
+    for (const field of RECORD_SCHEMAS[recordType]) {
+        const value = document.getElementById(`record-field-${field.name}`).value.trim();
+        if (value === "") continue;
+        fields[field.name] = field.type === "number" ? Number(value) : value;
+    }
+    return fields;
+}
+
+// Check structured fields against their schema, returning error messages
+function validateRecordFields(recordType, fields) {
+    const schema = RECORD_SCHEMAS[recordType];
+    const errors = [];
+
+    for (const field of schema) {
+        const value = fields[field.name];
+        if (value === undefined) {
+            if (field.required) errors.push(`${field.label} is required`);
+            continue;
+        }
+        if (field.type === "number") {
+            if (!Number.isFinite(value)) {
+                errors.push(`${field.label} must be a number`);
+            } else if ((field.min !== undefined && value < field.min) || (field.max !== undefined && value > field.max)) {
+                errors.push(`${field.label} must be between ${field.min} and ${field.max}${field.unit ? ` ${field.unit}` : ""}`);
+            } else if (field.integer && !Number.isInteger(value)) {
+                errors.push(`${field.label} must be a whole number`);
+            }
+        }
+    }
+
+    if (schema.some(f => f.measurement) && !schema.some(f => f.measurement && fields[f.name] !== undefined)) {
+        errors.push("Enter at least one measurement");
+    }
+    if (fields.startDate && fields.stopDate && fields.stopDate < fields.startDate) {
+        errors.push("Stop date must not be before start date");
+    }
+    if (fields.referenceLow !== undefined && fields.referenceHigh !== undefined && fields.referenceLow > fields.referenceHigh) {
+        errors.push("Reference range low must not exceed high");
+    }
+    if (fields.systolic !== undefined && fields.diastolic !== undefined && fields.diastolic >= fields.systolic) {
+        errors.push("Diastolic pressure must be lower than systolic");
+    }
+
+    return errors;
+}
+
+// Format one structured field value with its unit
+function formatFieldValue(field, value, fields) {
+    if (field.name === "value" && fields.unit) return `${value} ${fields.unit}`;
+    return field.unit ? `${value} ${field.unit}` : String(value);
+}
+
+// Flag a lab value outside its reference range
+function labValueFlag(fields) {
+    const value = Number(fields.value);
+    if (!Number.isFinite(value)) return null;
+    if (fields.referenceLow !== undefined && value < fields.referenceLow) return "Low";
+    if (fields.referenceHigh !== undefined && value > fields.referenceHigh) return "High";
+    return null;
+}
+
+// Plain-text rendering of record content, used for version diffs
+function recordContentToText(content) {
+    if (!content.fields) return content.text;
+
+    return RECORD_SCHEMAS[content.schema]
+        .filter(field => content.fields[field.name] !== undefined && field.name !== "unit")
+        .map(field => `${field.label}: ${formatFieldValue(field, content.fields[field.name], content.fields)}`)
+        .join("\n");
+}
+
+// Render structured record content as a list of labelled values
+function renderStructuredRecord(container, content) {
+    const { fields } = content;
+    container.innerHTML = "";
+
+    for (const field of RECORD_SCHEMAS[content.schema]) {
+        if (fields[field.name] === undefined || field.name === "unit" ||
+            field.name === "referenceLow" || field.name === "referenceHigh") continue;
+
+        const term = document.createElement("dt");
+        term.textContent = field.label;
+        const detail = document.createElement("dd");
+        detail.textContent = formatFieldValue(field, fields[field.name], fields);
+        if (field.type === "textarea") detail.classList.add("field-text");
+
+        if (content.schema === "LabResult" && field.name === "value") {
+            const flag = labValueFlag(fields);
+            if (flag) {
+                const badge = document.createElement("span");
+                badge.className = "record-tag lab-flag";
+                badge.textContent = flag;
+                detail.append(" ", badge);
+            }
+        }
+        container.append(term, detail);
+    }
+
+    // Reference range is shown as one entry
+    if (fields.referenceLow !== undefined || fields.referenceHigh !== undefined) {
+        const term = document.createElement("dt");
+        term.textContent = "Reference Range";
+        const detail = document.createElement("dd");
+        detail.textContent = `${fields.referenceLow ?? ""}–${fields.referenceHigh ?? ""}${fields.unit ? ` ${fields.unit}` : ""}`;
+        container.append(term, detail);
+    }
+}
+
+// Read metadata and data from the record form
+function readRecordForm() {
+    const facility = document.getElementById("record-facility").value || null;
+    const tagsText = document.getElementById("record-tags").value;
+    const recordType = document.getElementById("record-type").value;
+
+    return {
+        recordType,
+        data: RECORD_SCHEMAS[recordType]
+            ? serializeRecordFields(recordType, readRecordFields(recordType))
+            : document.getElementById("record-data").value,
+        metadata: {
+            title: document.getElementById("record-title").value,
+            provider: document.getElementById("record-provider").value,
+            facility: facility ? [facility] : [],
+            dateOfService: document.getElementById("record-date").value,
+            tags: tagsText ? tagsText.split(",").map(t => t.trim()) : []
+        }
+    };
+}
+
+// Open the record modal for a new record
+function openAddRecordModal() {
+    resetRecordForm();
+    showModal("modal-add-record");
+}
+
+// Reset the record form back to "add" mode
+function resetRecordForm() {
+    editingRecordId = null;
+    issuingForDid = null;
+    document.getElementById("record-form").reset();
+    document.getElementById("record-type").disabled = false;
+    renderRecordFields(document.getElementById("record-type").value);
+    document.getElementById("record-modal-title").textContent = "Add Medical Record";
+    document.getElementById("record-submit").textContent = "Add Record";
+    document.getElementById("record-rotate-key-group").classList.add("hidden");
+}
+
+// Submit the record form, adding or updating depending on mode
+async function submitRecordForm(e) {
+    e.preventDefault();
+
+    const recordType = document.getElementById("record-type").value;
+    if (RECORD_SCHEMAS[recordType]) {
+        const errors = validateRecordFields(recordType, readRecordFields(recordType));
+        if (errors.length > 0) {
+            showMessage(errors.join(". "), "error");
+            return;
+        }
+    }
+    if (recordType === "Prescription" && !(await confirmPrescriptionConflicts())) {
+        return;
+    }
+
+    if (editingRecordId !== null) {
+        await updateRecord();
+    } else if (issuingForDid !== null) {
+        await issueRecord();
+    } else {
+        await addRecord();
+    }
+}
+
+// Add medical record
+async function addRecord() {
+    try {
+        const { recordType, data, metadata } = readRecordForm();
+
+        const result = await createRecord(recordType, data, metadata);
+
+        if ("ok" in result) {
+            const { record, keyData } = result.ok;
+            await uploadRecordAttachments(record, keyData);
+
+            displayRecords(userRecords);
+            displayKeyVaultStatus();
+            hideModal("modal-add-record");
+            resetRecordForm();
+            showMessage("Medical record added successfully!", "success");
+        } else {
+            showMessage("Failed to add record: " + Object.keys(result.err)[0], "error");
+        }
+    } catch (error) {
+        console.error("Failed to add record:", error);
+        showMessage("Failed to add record", "error");
+    }
+}
+
+// Encrypt and store a new record, keeping its key locally and passing it on to grantees and our devices
+async function createRecord(recordType, data, metadata) {
+    // Generate encryption key and encrypt data
+    const key = await crypto.generateKey();
+    const encryptedData = await crypto.encrypt(data, key);
+    const keyHash = await crypto.hashKey(key);
+
+    // Convert record type to variant
+    const recordTypeVariant = { [recordType]: null };
+
+    const result = await actor.addMedicalRecord(
+        recordTypeVariant,
+        Array.from(encryptedData),
+        keyHash,
+        metadata,
+        onBehalfOf()
+    );
+
+    if (!("ok" in result)) {
+        return result;
+    }
+
+    const record = result.ok;
+
+    // Store encryption key locally using IndexedDB
+    const keyData = await crypto.exportKey(key);
+    await crypto.storeKey(record.id, keyData);
+
+    userRecords.push(record);
+
+    // Providers with access to all records, and the patient's caregivers, also need the new record's key
+    await shareKeyWithGrantees(record);
+    await shareKeyWithCaregivers(record);
+    await pushKeyToDevices(record);
+    await indexRecordContent(record, data);
+
+    return { ok: { record, keyData } };
+}
+
+// Wrap a record's current key for every active grantee whose grant covers it
+async function shareKeyWithGrantees(record) {
+    for (const grant of accessGrants) {
+        if (isGrantActive(grant) && grant.permissions.some(p => "Read" in p) &&
+            getGrantRecords(grant).includes(record)) {
+            try {
+                await shareRecordKeys(grant.grantedTo, [record]);
+            } catch (error) {
+                console.error("Failed to share record key:", error);
+            }
+        }
+    }
+}
+
+// Wrap a record's current key for the patient's other caregivers, and for the patient when we act for them
+async function shareKeyWithCaregivers(record) {
+    const recipients = caregivers
+        .map(c => c.caregiver)
+        .filter(p => p.toString() !== userPrincipal.toString());
+    const patientPrincipal = actingFor ? patientPrincipalOf(actingFor) : null;
+    if (patientPrincipal) recipients.push(patientPrincipal);
+
+    for (const recipient of recipients) {
+        try {
+            await shareRecordKeys(recipient, [record]);
+        } catch (error) {
+            console.error("Failed to share record key with caregiver:", error);
+        }
+    }
+}
+
+// Principal of a patient whose DID comes from their own login; dependents created by a guardian have none
+function patientPrincipalOf(patientDid) {
+    const match = /^did:icp:([a-z0-9-]+)$/.exec(patientDid);
+    if (!match) return null;
+    try {
+        return Principal.fromText(match[1]);
+    } catch (error) {
+        return null;
+    }
+}
+
+// Find a record among our own records or those shared with us
+function findRecord(recordId) {
+    return userRecords.find(r => Number(r.id) === Number(recordId)) ||
+        providerRecords.find(r => Number(r.id) === Number(recordId));
+}
+
+// Check whether a provider grant lets us write to a record
+function canWriteRecord(record) {
+    return receivedGrants.some(grant =>
+        grant.grantedBy === record.patientDid &&
+        isGrantActive(grant) &&
+        grant.permissions.some(p => "Write" in p) &&
+        (grant.recordIds.length === 0 || grant.recordIds.some(id => id.toString() === record.id.toString()))
+    );
+}
+
+// Edit record (decrypt and pre-fill the record form)
+window.editRecord = async function(recordId) {
+    try {
+        const record = findRecord(recordId);
+        if (!record) {
+            showMessage("Record not found", "error");
+            return;
+        }
+
+        const keyData = await getRecordKeyData(recordId);
+        if (!keyData) {
+            showMessage("Encryption key not found. Cannot edit record.", "error");
+            return;
+        }
+
+        const key = await crypto.importKey(keyData);
+        const decryptedData = await crypto.decrypt(await getRecordCiphertext(record), key);
+
+        resetRecordForm();
+        editingRecordId = recordId;
+
+        // The record type is fixed once a record is created
+        const recordType = document.getElementById("record-type");
+        recordType.value = Object.keys(record.recordType)[0];
+        recordType.disabled = true;
+
+        document.getElementById("record-title").value = record.metadata.title;
+        document.getElementById("record-provider").value = record.metadata.provider;
+        document.getElementById("record-facility").value = record.metadata.facility[0] || "";
+        document.getElementById("record-date").value = record.metadata.dateOfService;
+        document.getElementById("record-tags").value = record.metadata.tags.join(", ");
+
+        // Free-text records of a type that now has a form keep their text as notes
+        const content = parseRecordContent(decryptedData);
+        const notesField = recordType.value === "Imaging" ? "findings" : "notes";
+        renderRecordFields(recordType.value, content.fields || { [notesField]: content.text });
+        document.getElementById("record-data").value = content.text || "";
+
+        // Only the patient can re-key a record; providers re-encrypt under the shared key
+        const isOwner = userRecords.includes(record);
+        document.getElementById("record-rotate-key-group").classList.toggle("hidden", !isOwner);
+        document.getElementById("record-modal-title").textContent = "Edit Medical Record";
+        document.getElementById("record-submit").textContent = "Save Changes";
+
+        showModal("modal-add-record");
+    } catch (error) {
+        console.error("Failed to open record for editing:", error);
+        showMessage("Failed to decrypt record for editing", "error");
+    }
+};
+
+// Update the record being edited, re-encrypting it with a fresh IV (and optionally a fresh key)
+async function updateRecord() {
+    const record = findRecord(editingRecordId);
+    if (!record) {
+        showMessage("Record not found", "error");
+        return;
+    }
+
+    const isOwner = userRecords.includes(record);
+    const rotateKey = isOwner && document.getElementById("record-rotate-key").checked;
+
+    try {
+        const { data, metadata } = readRecordForm();
+
+        const key = rotateKey
+            ? await crypto.generateKey()
+            : await crypto.importKey(await getRecordKeyData(record.id));
+        const encryptedData = await crypto.encrypt(data, key);
+        const keyHash = await crypto.hashKey(key);
+
+        // Keep the new key as pending until the backend accepts the re-encrypted record
+        if (rotateKey) {
+            await crypto.storePendingKey(record.id, await crypto.exportKey(key));
+        }
+
+        const result = await actor.updateMedicalRecord(
+            record.id,
+            Array.from(encryptedData),
+            keyHash,
+            metadata
+        );
+
+        if ("ok" in result) {
+            const updated = result.ok;
+            await uploadRecordAttachments(updated, await crypto.exportKey(key));
+
+            if (isOwner) {
+                userRecords = userRecords.map(r => r.id === updated.id ? updated : r);
+                await indexRecordContent(updated, data);
+                await refreshEmergencyRecord(updated.id, data);
+                if (rotateKey) {
+                    await crypto.commitPendingKey(updated.id);
+                    await shareKeyWithGrantees(userRecords.find(r => r.id === updated.id));
+                    await shareKeyWithCaregivers(updated);
+                    await pushKeyToDevices(updated);
+                    displayKeyVaultStatus();
+                }
+                displayRecords(userRecords);
+            } else {
+                // Our edit replaced any earlier signature; the new version is re-signed if we issued the record
+                const signed = await signWrittenRecord(updated, encryptedData);
+                providerRecords = providerRecords.map(r => r.id === updated.id ? (signed || updated) : r);
+                displayProviderWorkspace();
+                verifyListedSignatures(signed ? [signed] : [], displayProviderWorkspace);
+            }
+
+            hideModal("modal-add-record");
+            resetRecordForm();
+            showMessage("Medical record updated successfully!", "success");
+        } else {
+            if (rotateKey) {
+                await crypto.discardPendingKey(record.id);
+            }
+            showMessage("Failed to update record: " + Object.keys(result.err)[0], "error");
+        }
+    } catch (error) {
+        console.error("Failed to update record:", error);
+        showMessage("Failed to update record", "error");
+    }
+}
+
+// Check whether a patient has given us an active grant we can issue records under: write access to all their records
+function canIssueRecord(patientDid) {
+    return receivedGrants.some(grant =>
+        grant.grantedBy === patientDid &&
+        isGrantActive(grant) &&
+        grant.recordIds.length === 0 &&
+        grant.permissions.some(p => "Write" in p)
+    );
+}
+
+// Open the record form to issue a signed record to a patient who granted us write access
+window.openIssueRecordModal = function(patientDid) {
+    resetRecordForm();
+    issuingForDid = patientDid;
+    document.getElementById("record-modal-title").textContent = "Issue Signed Record";
+    document.getElementById("record-submit").textContent = "Sign and Issue";
+    showModal("modal-add-record");
+};
+
+// Encrypt, sign and issue a record to the patient, wrapping its key for the patient's side and for us
+async function issueRecord() {
+    const patientDid = issuingForDid;
+
+    try {
+        if (!signingKeyPair || !encryptionKeyPair) {
+            showMessage("This browser has no signing key yet. Refresh and try again.", "error");
+            return;
+        }
+
+        const keysResult = await actor.getPatientEncryptionKeys(patientDid);
+        if (!("ok" in keysResult)) {
+            showMessage("Failed to issue record: " + Object.keys(keysResult.err)[0], "error");
+            return;
+        }
+        const recipients = keysResult.ok.filter(k => k.owner.toString() !== userPrincipal.toString());
+        if (recipients.length === 0) {
+            showMessage("The patient has not published an encryption key yet, so they could not open the record", "error");
+            return;
+        }
+
+        const { recordType, data, metadata } = readRecordForm();
+        const key = await crypto.generateKey();
+        const keyData = await crypto.exportKey(key);
+        const encryptedData = await crypto.encrypt(data, key);
+        const draft = {
+            patientDid,
+            recordType: { [recordType]: null },
+            encryptionKeyHash: await crypto.hashKey(key),
+            metadata
+        };
+
+        const keys = [];
+        for (const recipient of recipients) {
+            const publicKey = await crypto.importPublicKey(new Uint8Array(recipient.publicKey));
+            keys.push([recipient.owner, Array.from(await crypto.wrapKeyData(keyData, publicKey))]);
+        }
+        keys.push([userPrincipal, Array.from(await crypto.wrapKeyData(keyData, encryptionKeyPair.publicKey))]);
+
+        const { publicKey, signature } = await signRecord(draft, encryptedData);
+        const result = await actor.issueMedicalRecord(
+            patientDid,
+            draft.recordType,
+            Array.from(encryptedData),
+            draft.encryptionKeyHash,
+            metadata,
+            keys,
+            Array.from(publicKey),
+            Array.from(signature)
+        );
+
+        if ("ok" in result) {
+            const record = result.ok;
+            sharedKeys.set(record.id.toString(), keyData);
+            recordDataCache.set(record.id.toString(), { updatedAt: record.updatedAt, encryptedData });
+            await uploadRecordAttachments(record, keyData);
+
+            hideModal("modal-add-record");
+            resetRecordForm();
+            showMessage("Signed record issued to the patient", "success");
+
+            // Issuing can widen the grant it was made under
+            await loadProviderData();
+        } else {
+            showMessage("Failed to issue record: " + Object.keys(result.err)[0], "error");
+        }
+    } catch (error) {
+        console.error("Failed to issue record:", error);
+        showMessage("Failed to issue record", "error");
+    }
+}
+
+// Ensure this browser has a signing key pair and that its public key is published, so records we sign can be verified
+async function ensureSigningKeyPair() {
+    try {
+        const stored = await crypto.getIdentityEntry("signing");
+        signingKeyPair = stored ? { publicKey: stored.publicKey, privateKey: stored.privateKey } : null;
+        if (!signingKeyPair) {
+            signingKeyPair = await crypto.generateSigningKeyPair();
+            await crypto.putIdentityEntry({
+                id: "signing",
+                publicKey: signingKeyPair.publicKey,
+                privateKey: signingKeyPair.privateKey
+            });
+        }
+
+        const publicKey = await crypto.exportPublicKey(signingKeyPair.publicKey);
+        const published = await actor.getSigningKeys(userPrincipal);
+        const isPublished = "ok" in published && published.ok.some(k => bytesEqual(k.publicKey, publicKey));
+
+        if (!isPublished) {
+            const result = await actor.publishSigningKey(Array.from(publicKey));
+            if ("err" in result) {
+                console.error("Failed to publish signing key:", result.err);
+            }
+        }
+    } catch (error) {
+        console.error("Failed to set up signing key pair:", error);
+    }
+}
+
+// Build the bytes a provider signs for a record: signer, patient, type, ciphertext hash, key hash and metadata
+function recordSigningPayload(record, dataHash, signer) {
+    const metadata = record.metadata;
+    return new TextEncoder().encode(JSON.stringify([
+        RECORD_SIGNATURE_CONTEXT,
+        signer.toString(),
+        record.patientDid,
+        Object.keys(record.recordType)[0],
+        dataHash,
+        record.encryptionKeyHash,
+        metadata.title,
+        metadata.provider,
+        metadata.facility[0] ?? null,
+        metadata.dateOfService,
+        metadata.tags
+    ]));
+}
+
+// Sign a record's ciphertext hash and metadata with our signing key
+async function signRecord(record, ciphertext) {
+    const dataHash = await crypto.hashBytes(ciphertext);
+    const signature = await crypto.sign(recordSigningPayload(record, dataHash, userPrincipal), signingKeyPair.privateKey);
+    return { publicKey: await crypto.exportPublicKey(signingKeyPair.publicKey), signature };
+}
+
+// Sign a record we just wrote as a provider; returns its summary with the signature, or null if it stays unsigned
+async function signWrittenRecord(record, ciphertext) {
+    if (!signingKeyPair) return null;
+
+    try {
+        const { publicKey, signature } = await signRecord(record, ciphertext);
+        const result = await actor.signMedicalRecord(record.id, Array.from(publicKey), Array.from(signature));
+        if ("ok" in result) return result.ok;
+        // Only records we issued can be signed; edits to anyone else's stay unsigned
+        if ("Unauthorized" in result.err) return null;
+        console.error("Failed to sign record:", result.err);
+    } catch (error) {
+        console.error("Failed to sign record:", error);
+    }
+    return null;
+}
+
+// Check a signature against the ciphertext and metadata it covers and the keys its signer published
+async function checkSignature(record, signature, ciphertext, signerKeys) {
+    if (!signerKeys.some(k => bytesEqual(k.publicKey, signature.publicKey))) {
+        return false;
+    }
+
+    try {
+        const dataHash = await crypto.hashBytes(ciphertext);
+        return await crypto.verifySignature(
+            new Uint8Array(signature.publicKey),
+            new Uint8Array(signature.signature),
+            recordSigningPayload(record, dataHash, signature.signer)
+        );
+    } catch (error) {
+        // Malformed keys and signatures simply don't verify
+        return false;
+    }
+}
+
+// Identify the signed version of a record, so a cached check is dropped once the record changes
+function signatureCheckKey(record) {
+    return `${record.updatedAt}:${record.signature[0].signedAt}`;
+}
+
+// Get the cached outcome of checking a record's signature, or null if it is unsigned or not checked yet
+function signatureStatus(record) {
+    if (!record.signature || record.signature.length === 0) return null;
+    const cached = signatureChecks.get(record.id.toString());
+    return cached && cached.checkedFor === signatureCheckKey(record) ? cached.status : null;
+}
+
+// Verify a record's provider signature ("verified" or "invalid"), or null if it is unsigned or couldn't be checked
+async function verifyRecordSignature(record) {
+    if (!record.signature || record.signature.length === 0) return null;
+
+    const cachedStatus = signatureStatus(record);
+    if (cachedStatus) return cachedStatus;
+
+    try {
+        const signature = record.signature[0];
+        const keysResult = await actor.getSigningKeys(signature.signer);
+        const signerKeys = "ok" in keysResult ? keysResult.ok : [];
+        const valid = await checkSignature(record, signature, await getRecordCiphertext(record), signerKeys);
+        const status = valid ? "verified" : "invalid";
+        signatureChecks.set(record.id.toString(), { checkedFor: signatureCheckKey(record), status });
+        return status;
+    } catch (error) {
+        console.error(`Failed to verify the signature of record ${record.id}:`, error);
+        return null;
+    }
+}
+
+// Verify the signatures of listed records in the background, then redisplay the list with the outcome
+async function verifyListedSignatures(records, redisplay) {
+    let checked = false;
+    for (const record of records) {
+        if (record.signature && record.signature.length > 0 && !signatureStatus(record)) {
+            checked = (await verifyRecordSignature(record)) !== null || checked;
+        }
+    }
+    if (checked) redisplay();
+}
+
+// Badge telling provider-signed records apart from self-reported ones
+function signatureBadge(record) {
+    if (!record.signature || record.signature.length === 0) {
+        return '<span class="record-tag self-reported">Self-reported</span>';
+    }
+
+    const signer = record.signature[0].signer.toString();
+    switch (signatureStatus(record)) {
+        case "verified":
+            return `<span class="record-tag signature-verified" title="Signed by ${signer}">✓ Verified by provider</span>`;
+        case "invalid":
+            return `<span class="record-tag signature-invalid" title="Claims to be signed by ${signer}">Signature invalid</span>`;
+        default:
+            return `<span class="record-tag" title="Signed by ${signer}">Provider-signed</span>`;
+    }
+}
+
+// Show who signed a record in the record modal and whether the signature checks out
+async function showRecordSignature(recordId) {
+    const container = document.getElementById("view-record-signature");
+    container.classList.add("hidden");
+
+    const record = findRecord(recordId);
+    if (!record || !record.signature || record.signature.length === 0) return;
+
+    const signature = record.signature[0];
+    const status = await verifyRecordSignature(record);
+    const statusText = status === "verified"
+        ? "✓ Signature verified"
+        : status === "invalid"
+            ? "✗ The signature doesn't match this record or the provider's published keys"
+            : "The signature could not be checked";
+
+    container.innerHTML = `
+        <label>Provider Signature</label>
+        <p class="signature-status signature-${status || "unchecked"}">${statusText}</p>
+        <p class="audit-provider">Signed by ${signature.signer.toString()} • ${formatTimestamp(signature.signedAt)}</p>
+        <button class="btn btn-secondary" onclick="downloadRecordCredential(${record.id})">Download Credential</button>
+    `;
+    container.classList.remove("hidden");
+}
+
+// Save a record's signature with everything needed to check it, for someone without access to the record
+window.downloadRecordCredential = async function(recordId) {
+    const record = findRecord(recordId);
+    if (!record || !record.signature || record.signature.length === 0) return;
+
+    try {
+        const signature = record.signature[0];
+        const credential = {
+            type: RECORD_CREDENTIAL_TYPE,
+            context: RECORD_SIGNATURE_CONTEXT,
+            signer: signature.signer.toString(),
+            signedAt: new Date(Number(signature.signedAt) / NANOSECONDS_PER_MILLISECOND).toISOString(),
+            publicKey: toBase64(new Uint8Array(signature.publicKey)),
+            signature: toBase64(new Uint8Array(signature.signature)),
+            record: {
+                patientDid: record.patientDid,
+                recordType: Object.keys(record.recordType)[0],
+                encryptionKeyHash: record.encryptionKeyHash,
+                metadata: {
+                    title: record.metadata.title,
+                    provider: record.metadata.provider,
+                    facility: record.metadata.facility[0] ?? null,
+                    dateOfService: record.metadata.dateOfService,
+                    tags: record.metadata.tags
+                }
+            },
+            // The contents stay encrypted; the ciphertext lets the verifier check it is what was signed
+            encryptedData: toBase64(await getRecordCiphertext(record))
+        };
+
+        const blob = new Blob([JSON.stringify(credential, null, 2)], { type: "application/json" });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = `serum-credential-${record.id}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    } catch (error) {
+        console.error("Failed to export credential:", error);
+        showMessage("Failed to export credential", "error");
+    }
+};
+
+// Get an actor for anonymous queries, e.g. to verify a credential without logging in
+async function getPublicActor() {
+    if (!publicActor) {
+        const agent = new HttpAgent();
+        if (process.env.DFX_NETWORK !== "ic") {
+            await agent.fetchRootKey();
+        }
+        publicActor = Actor.createActor(idlFactory, { agent, canisterId: BACKEND_CANISTER_ID });
+    }
+    return publicActor;
+}
+
+// Open the credential checker
+function openVerifyCredentialModal() {
+    document.getElementById("credential-file").value = "";
+    document.getElementById("credential-result").classList.add("hidden");
+    showModal("modal-verify-credential");
+}
+
+// Check a downloaded record credential against the signer's keys published in the canister
+async function verifyCredentialFile(e) {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+
+    const output = document.getElementById("credential-result");
+    output.classList.add("hidden");
+
+    try {
+        const credential = JSON.parse(await file.text());
+        if (credential.type !== RECORD_CREDENTIAL_TYPE || credential.context !== RECORD_SIGNATURE_CONTEXT) {
+            showMessage("The file is not a Serum record credential", "error");
+            return;
+        }
+
+        const signer = Principal.fromText(credential.signer);
+        const metadata = credential.record.metadata;
+        const record = {
+            patientDid: credential.record.patientDid,
+            recordType: { [credential.record.recordType]: null },
+            encryptionKeyHash: credential.record.encryptionKeyHash,
+            metadata: { ...metadata, facility: metadata.facility ? [metadata.facility] : [] }
+        };
+        const signature = {
+            signer,
+            publicKey: fromBase64(credential.publicKey),
+            signature: fromBase64(credential.signature)
+        };
+
+        const keysResult = await (actor || await getPublicActor()).getSigningKeys(signer);
+        const valid = await checkSignature(
+            record,
+            signature,
+            fromBase64(credential.encryptedData),
+            "ok" in keysResult ? keysResult.ok : []
+        );
+
+        output.innerHTML = `
+            <p class="signature-status signature-${valid ? "verified" : "invalid"}">
+                ${valid
+                    ? "✓ Signed by the provider below and unchanged since"
+                    : "✗ The signature doesn't match this record or the provider's published keys"}
+            </p>
+            <p><strong>${escapeHtml(metadata.title)}</strong> • ${escapeHtml(credential.record.recordType)}</p>
+            <p>${escapeHtml(metadata.provider)}${metadata.facility ? " • " + escapeHtml(metadata.facility) : ""} • ${escapeHtml(metadata.dateOfService)}</p>
+            <p class="audit-provider">Patient: ${escapeHtml(credential.record.patientDid)}</p>
+            <p class="audit-provider">Signer: ${signer.toString()} • ${escapeHtml(credential.signedAt)}</p>
+        `;
+        output.classList.remove("hidden");
+    } catch (error) {
+        console.error("Failed to verify credential:", error);
+        showMessage("Failed to read the credential", "error");
+    }
+}
+
+// Encrypt and upload the files chosen in the record form
+async function uploadRecordAttachments(record, keyData) {
+    const files = Array.from(document.getElementById("record-attachments").files);
+
+    for (const file of files) {
+        try {
+            showMessage(`Encrypting and uploading ${file.name}...`, "info");
+            await uploadAttachment(record, file, keyData);
+        } catch (error) {
+            console.error(`Failed to upload ${file.name}:`, error);
+            showMessage(`Failed to upload ${file.name}: ${error.message}`, "error");
+        }
+    }
+}
+
+// Upload one file as an attachment, encrypting each chunk with the record key
+async function uploadAttachment(record, file, keyData) {
+    const chunkCount = Math.max(1, Math.ceil(file.size / ATTACHMENT_CHUNK_SIZE));
+    if (chunkCount > MAX_ATTACHMENT_CHUNKS) {
+        throw new Error(`file is larger than ${MAX_ATTACHMENT_CHUNKS} MB`);
+    }
+
+    const key = await crypto.importKey(keyData);
+    const header = await crypto.encrypt(JSON.stringify({
+        name: file.name,
+        type: file.type || "application/octet-stream",
+        size: file.size
+    }), key);
+
+    const created = await actor.createAttachment(
+        record.id,
+        Array.from(header),
+        await crypto.hashKeyData(keyData),
+        chunkCount
+    );
+    if (!("ok" in created)) {
+        throw new Error(Object.keys(created.err)[0]);
+    }
+
+    const attachmentId = created.ok.id;
+    for (let index = 0; index < chunkCount; index++) {
+        const plain = new Uint8Array(await file.slice(
+            index * ATTACHMENT_CHUNK_SIZE,
+            (index + 1) * ATTACHMENT_CHUNK_SIZE
+        ).arrayBuffer());
+        const chunk = await crypto.encryptBytes(plain, key);
+        const result = await actor.uploadAttachmentChunk(attachmentId, index, Array.from(chunk));
+        if (!("ok" in result)) {
+            // Don't leave a half-uploaded file behind
+            await actor.deleteAttachment(attachmentId);
+            throw new Error(Object.keys(result.err)[0]);
+        }
+    }
+}
+
+// Load and decrypt the attachment list of the record shown in the viewer
+async function loadRecordAttachments(recordId) {
+    const container = document.getElementById("view-record-attachments");
+    recordAttachments = new Map();
+    container.innerHTML = "";
+
+    try {
+        const result = await actor.getAttachments(recordId);
+        if (!("ok" in result) || result.ok.length === 0) return;
+
+        const record = findRecord(recordId);
+        const canDelete = record && userRecords.includes(record);
+        const items = [];
+
+        for (const attachment of result.ok) {
+            let header = null;
+            const keyData = await getVersionKeyData(recordId, attachment.encryptionKeyHash);
+            if (keyData) {
+                const key = await crypto.importKey(keyData);
+                header = JSON.parse(await crypto.decrypt(new Uint8Array(attachment.encryptedHeader), key));
+            }
+            recordAttachments.set(attachment.id.toString(), { attachment, header, keyData });
+
+            const id = attachment.id.toString();
+            const previewable = header && (header.type.startsWith("image/") || header.type === "application/pdf");
+            items.push(`
+                <div class="attachment-item">
+                    <div class="attachment-info">
+                        <h4></h4>
+                        <p>${header ? `${header.type} • ${formatFileSize(header.size)}` : ""}</p>
+                    </div>
+                    <div class="record-actions">
+                        ${previewable ? `<button class="btn btn-secondary" onclick="previewAttachment('${id}')">Preview</button>` : ""}
+                        ${header ? `<button class="btn btn-secondary" onclick="downloadAttachment('${id}')">Download</button>` : ""}
+                        ${canDelete ? `<button class="btn btn-danger" onclick="deleteAttachment('${id}', ${recordId})">Delete</button>` : ""}
+                    </div>
+                </div>
+            `);
+        }
+
+        container.innerHTML = `<label>Attachments</label>${items.join("")}<div id="view-attachment-preview" class="attachment-preview hidden"></div>`;
+
+        // File names come from user input, so set them as text
+        const headings = container.querySelectorAll(".attachment-info h4");
+        Array.from(recordAttachments.values()).forEach(({ header }, i) => {
+            headings[i].textContent = header ? header.name : "Encrypted file (key unavailable)";
+        });
+    } catch (error) {
+        console.error("Failed to load attachments:", error);
+        showMessage("Failed to load attachments", "error");
+    }
+}
+
+// Format a byte count for display
+function formatFileSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// Download all chunks of an attachment shown in the viewer and reassemble the decrypted file
+async function decryptAttachment(attachmentId) {
+    const { attachment, header, keyData } = recordAttachments.get(attachmentId);
+    return await fetchAttachment(attachment, header, keyData);
+}
+
+// Download and decrypt every chunk of an attachment
+async function fetchAttachment(attachment, header, keyData) {
+    const key = await crypto.importKey(keyData);
+    const parts = [];
+
+    for (let index = 0; index < Number(attachment.chunkCount); index++) {
+        const result = await actor.getAttachmentChunk(attachment.id, index);
+        if (!("ok" in result)) {
+            throw new Error("Failed to download attachment: " + Object.keys(result.err)[0]);
+        }
+        parts.push(await crypto.decryptBytes(new Uint8Array(result.ok), key));
+    }
+
+    return new Blob(parts, { type: header.type });
+}
+
+// Preview an image or PDF attachment inside the record viewer
+window.previewAttachment = async function(attachmentId) {
+    const preview = document.getElementById("view-attachment-preview");
+
+    try {
+        const blob = await decryptAttachment(attachmentId);
+        if (attachmentPreviewUrl) URL.revokeObjectURL(attachmentPreviewUrl);
+        attachmentPreviewUrl = URL.createObjectURL(blob);
+
+        preview.innerHTML = blob.type === "application/pdf"
+            ? `<iframe src="${attachmentPreviewUrl}" title="Attachment preview"></iframe>`
+            : `<img src="${attachmentPreviewUrl}" alt="Attachment preview">`;
+        preview.classList.remove("hidden");
+    } catch (error) {
+        console.error("Failed to preview attachment:", error);
+        showMessage(error.message || "Failed to decrypt attachment", "error");
+    }
+};
+
+// Save a decrypted attachment to disk
+window.downloadAttachment = async function(attachmentId) {
+    try {
+        const { header } = recordAttachments.get(attachmentId);
+        const blob = await decryptAttachment(attachmentId);
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = header.name;
+        link.click();
+        URL.revokeObjectURL(url);
+    } catch (error) {
+        console.error("Failed to download attachment:", error);
+        showMessage(error.message || "Failed to decrypt attachment", "error");
+    }
+};
+
+// Delete an attachment from a record
+window.deleteAttachment = async function(attachmentId, recordId) {
+    if (!confirm("Delete this attachment?")) {
+        return;
+    }
+
+    try {
+        const result = await actor.deleteAttachment(BigInt(attachmentId));
+        if ("ok" in result) {
+            await loadRecordAttachments(recordId);
+            showMessage("Attachment deleted", "success");
+        } else {
+            showMessage("Failed to delete attachment: " + Object.keys(result.err)[0], "error");
+        }
+    } catch (error) {
+        console.error("Failed to delete attachment:", error);
+        showMessage("Failed to delete attachment", "error");
+    }
+};
+
+// Build or refresh the on-device index of decrypted record contents
+// Entries are encrypted with a key that cannot leave this browser, so plaintext never reaches the canister or the disk
+async function buildContentIndex() {
+    await ensureAllRecordsLoaded();
+    const indexKey = await crypto.getSearchIndexKey();
+    const current = new Map(userRecords.map(r => [r.id.toString(), r]));
+    contentIndex = new Map();
+
+    for (const entry of await crypto.getSearchEntries()) {
+        const record = current.get(entry.recordId);
+        if (!record) {
+            await crypto.deleteSearchEntry(entry.recordId);
+        } else if (entry.updatedAt === record.updatedAt.toString()) {
+            contentIndex.set(entry.recordId, await crypto.decrypt(new Uint8Array(entry.data), indexKey));
+        }
+    }
+
+    // Index records that are new or changed since they were last indexed
+    for (const record of userRecords) {
+        if (contentIndex.has(record.id.toString())) continue;
+
+        const keyData = await getRecordKeyData(record.id);
+        if (!keyData) continue;
+        try {
+            const key = await crypto.importKey(keyData);
+            await indexRecordContent(record, await crypto.decrypt(await getRecordCiphertext(record), key));
+        } catch (error) {
+            console.warn(`Could not index record ${record.id}`);
+        }
+    }
+
+    contentIndexReady = true;
+}
+
+// Add a record's decrypted content to the search index
+async function indexRecordContent(record, data) {
+    try {
+        const searchable = recordContentToText(parseRecordContent(data)).toLowerCase();
+        contentIndex.set(record.id.toString(), searchable);
+
+        const indexKey = await crypto.getSearchIndexKey();
+        const encrypted = await crypto.encrypt(searchable, indexKey);
+        await crypto.putSearchEntry({
+            recordId: record.id.toString(),
+            updatedAt: record.updatedAt.toString(),
+            data: Array.from(encrypted)
+        });
+    } catch (error) {
+        console.error("Failed to index record:", error);
+    }
+}
+
+// Turn content search on, building the index the first time
+async function toggleContentSearch(e) {
+    if (e.target.checked && !contentIndexReady) {
+        showMessage("Building search index...", "info");
+        try {
+            await buildContentIndex();
+        } catch (error) {
+            console.error("Failed to build search index:", error);
+            showMessage("Failed to build search index", "error");
+            e.target.checked = false;
+        }
+    }
+    displayRecords(userRecords);
+}
+
+// Whether the search box, filters or sort order narrow or reorder the record list
+function recordFiltersActive() {
+    return document.getElementById("records-search").value.trim() !== "" ||
+        document.getElementById("records-filter-type").value !== "" ||
+        document.getElementById("records-filter-from").value !== "" ||
+        document.getElementById("records-filter-to").value !== "" ||
+        document.getElementById("records-sort").value !== "added" ||
+        document.getElementById("records-search-content").checked;
+}
+
+// Apply the search box, filters and sort order to a list of records
+function filterRecords(records) {
+    const terms = document.getElementById("records-search").value.toLowerCase().split(/\s+/).filter(Boolean);
+    const recordType = document.getElementById("records-filter-type").value;
+    const from = document.getElementById("records-filter-from").value;
+    const to = document.getElementById("records-filter-to").value;
+    const sort = document.getElementById("records-sort").value;
+    const searchContent = document.getElementById("records-search-content").checked;
+
+    const filtered = records.filter(record => {
+        const { title, provider, facility, dateOfService, tags } = record.metadata;
+        const type = Object.keys(record.recordType)[0];
+
+        if (recordType && type !== recordType) return false;
+        if (from && dateOfService < from) return false;
+        if (to && dateOfService > to) return false;
+
+        const metadataText = [title, provider, ...facility, ...tags, type].join(" ").toLowerCase();
+        const contentText = searchContent ? contentIndex.get(record.id.toString()) || "" : "";
+        return terms.every(term => metadataText.includes(term) || contentText.includes(term));
+    });
+
+    const byDate = (a, b) => a.metadata.dateOfService.localeCompare(b.metadata.dateOfService);
+    if (sort === "added") filtered.sort((a, b) => Number(b.id) - Number(a.id));
+    if (sort === "date-asc") filtered.sort(byDate);
+    if (sort === "date-desc") filtered.sort((a, b) => byDate(b, a));
+    if (sort === "title") filtered.sort((a, b) => a.metadata.title.localeCompare(b.metadata.title));
+
+    return filtered;
+}
+
+// Display records
+function displayRecords(records) {
+    const container = document.getElementById("records-list");
+    const count = document.getElementById("records-count");
+
+    if (recordsView === "trends") {
+        displayTrends(filterRecords(records));
+    }
+    displayMedications();
+
+    if (records.length === 0) {
+        container.innerHTML = '<p class="empty-state">No medical records yet. Add your first record.</p>';
+        count.textContent = "";
+        return;
+    }
+
+    const shown = filterRecords(records);
+    count.textContent = shown.length === records.length
+        ? `${records.length} record(s)`
+        : `Showing ${shown.length} of ${records.length} records`;
+
+    if (shown.length === 0) {
+        container.innerHTML = '<p class="empty-state">No records match your search.</p>';
+        return;
+    }
+
+    if (recordsView === "timeline") {
+        container.innerHTML = renderTimeline(shown);
+        return;
+    }
+
+    container.innerHTML = shown.map(record => {
+        const recordType = Object.keys(record.recordType)[0];
+        return `
+            <div class="record-item" data-id="${record.id}">
+                <div class="record-info">
+                    <h4>${escapeHtml(record.metadata.title)}</h4>
+                    <p>${escapeHtml(record.metadata.provider)} • ${escapeHtml(record.metadata.dateOfService)}</p>
+                    <div class="record-meta">
+                        <span class="record-tag record-type">${recordType}</span>
+                        ${signatureBadge(record)}
+                        ${record.metadata.tags.map(tag => 
+                            `<span class="record-tag">${escapeHtml(tag)}</span>`
+                        ).join("")}
+                    </div>
+                </div>
+                <div class="record-actions">
+                    <button class="btn btn-secondary" onclick="viewRecord(${record.id})">View</button>
+                    <button class="btn btn-secondary" onclick="editRecord(${record.id})">Edit</button>
+                    <button class="btn btn-danger" onclick="deleteRecord(${record.id})">Delete</button>
+                </div>
+            </div>
+        `;
+    }).join("");
+}
+
+// Switch the records card between the record list, the timeline and trend charts
+async function setRecordsView(view) {
+    recordsView = view;
+    document.querySelectorAll("#records-view-switch .btn-mode").forEach(button => {
+        button.classList.toggle("active", button.dataset.view === view);
+    });
+    document.getElementById("records-list").classList.toggle("hidden", view === "trends");
+    document.getElementById("records-trends").classList.toggle("hidden", view !== "trends");
+
+    // The timeline and charts cover every record, not just the pages scrolled so far
+    if (view !== "list") {
+        try {
+            await ensureAllRecordsLoaded();
+        } catch (error) {
+            console.error("Failed to load records:", error);
+        }
+    }
+    displayRecords(userRecords);
+}
+
+// Format a date of service for headings, keeping text that isn't a date as it is
+function formatServiceDate(date) {
+    const parsed = new Date(`${date}T00:00:00`);
+    return Number.isNaN(parsed.getTime())
+        ? date
+        : parsed.toLocaleDateString(undefined, { weekday: "short", year: "numeric", month: "short", day: "numeric" });
+}
+
+// Render records as a timeline, newest date of service first, with each date's records grouped by type
+function renderTimeline(records) {
+    const dates = new Map();
+    const sorted = [...records].sort((a, b) => b.metadata.dateOfService.localeCompare(a.metadata.dateOfService));
+    for (const record of sorted) {
+        const date = record.metadata.dateOfService;
+        const type = Object.keys(record.recordType)[0];
+        if (!dates.has(date)) dates.set(date, new Map());
+        const types = dates.get(date);
+        if (!types.has(type)) types.set(type, []);
+        types.get(type).push(record);
+    }
+
+    let year = null;
+    const items = [];
+    for (const [date, types] of dates) {
+        if (date.slice(0, 4) !== year) {
+            year = date.slice(0, 4);
+            items.push(`<li class="timeline-year">${escapeHtml(year)}</li>`);
+        }
+        items.push(`
+            <li class="timeline-item">
+                <div class="timeline-date">${escapeHtml(formatServiceDate(date))}</div>
+                <div class="timeline-entries">
+                    ${Array.from(types, ([type, typeRecords]) => `
+                        <div class="timeline-group">
+                            <span class="record-tag record-type">${type}</span>
+                            ${typeRecords.map(record => `
+                                <button class="timeline-record" onclick="viewRecord(${record.id})">${escapeHtml(record.metadata.title)}</button>
+                                ${signatureBadge(record)}
+                            `).join("")}
+                        </div>
+                    `).join("")}
+                </div>
+            </li>
+        `);
+    }
+    return `<ol class="timeline">${items.join("")}</ol>`;
+}
+
+// Vital signs charted over time, with the usual adult resting range shaded where there is one
+const VITAL_TRENDS = [
+    { id: "vitals:bp", label: "Blood Pressure", unit: "mmHg", lines: [
+        { field: "systolic", label: "Systolic", range: [90, 120] },
+        { field: "diastolic", label: "Diastolic", range: [60, 80] }
+    ] },
+    { id: "vitals:heartRate", label: "Heart Rate", unit: "bpm", lines: [{ field: "heartRate", label: "Heart rate", range: [60, 100] }] },
+    { id: "vitals:temperature", label: "Temperature", unit: "°C", lines: [{ field: "temperature", label: "Temperature", range: [36.1, 37.2] }] },
+    { id: "vitals:spo2", label: "SpO2", unit: "%", lines: [{ field: "spo2", label: "SpO2", range: [95, 100] }] },
+    { id: "vitals:weight", label: "Weight", unit: "kg", lines: [{ field: "weight", label: "Weight", range: null }] }
+];
+
+const TREND_CHART = { width: 640, height: 260, left: 48, right: 16, top: 32, bottom: 32 };
+const TREND_COLORS = ["#2563EB", "#DC2626"];
+
+// Decrypt the vital signs and lab results among the shown records and list the series that can be charted
+async function displayTrends(records) {
+    const render = ++trendsRender;
+    const entries = [];
+    for (const record of records.filter(r => "VitalSigns" in r.recordType || "LabResult" in r.recordType)) {
+        const content = await getDecryptedContent(record);
+        // A newer render started while we were decrypting
+        if (render !== trendsRender) return;
+        if (content && content.fields) entries.push({ record, fields: content.fields });
+    }
+
+    trendSeries = buildTrendSeries(entries);
+    const select = document.getElementById("trend-series");
+    const previous = select.value;
+    select.innerHTML = trendSeries.map(s => `<option value="${escapeHtml(s.id)}">${escapeHtml(s.label)}</option>`).join("");
+    if (trendSeries.some(s => s.id === previous)) {
+        select.value = previous;
+    }
+    displayTrendChart();
+}
+
+// Get a record's decrypted content, reusing it until the record changes
+async function getDecryptedContent(record) {
+    const cached = recordContents.get(record.id.toString());
+    if (cached && cached.updatedAt === record.updatedAt) return cached.content;
+
+    try {
+        const content = parseRecordContent(await decryptRecordData(record));
+        recordContents.set(record.id.toString(), { updatedAt: record.updatedAt, content });
+        return content;
+    } catch (error) {
+        console.error(`Failed to decrypt record ${record.id}:`, error);
+        return null;
+    }
+}
+
+// Group measurements into chart series: one per vital sign chart and one per lab analyte and unit
+function buildTrendSeries(entries) {
+    const byDate = (a, b) => a.date.localeCompare(b.date);
+    const series = [];
+
+    for (const trend of VITAL_TRENDS) {
+        const lines = trend.lines.map(line => ({
+            label: line.label,
+            range: line.range,
+            points: entries
+                .filter(e => "VitalSigns" in e.record.recordType && Number.isFinite(e.fields[line.field]))
+                .map(e => ({ date: e.record.metadata.dateOfService, value: e.fields[line.field] }))
+                .sort(byDate)
+        }));
+        if (lines.some(line => line.points.length > 0)) {
+            series.push({ id: trend.id, label: trend.label, unit: trend.unit, lines });
+        }
+    }
+
+    // Lab values are only comparable within the same analyte and unit
+    const labs = new Map();
+    for (const entry of entries.filter(e => "LabResult" in e.record.recordType)) {
+        const { analyte, value, unit } = entry.fields;
+        if (!analyte || String(value).trim() === "" || !Number.isFinite(Number(value))) continue;
+
+        const id = `lab:${analyte.trim().toLowerCase()}|${unit || ""}`;
+        if (!labs.has(id)) {
+            labs.set(id, { id, label: `${analyte.trim()}${unit ? ` (${unit})` : ""}`, unit: unit || "", entries: [] });
+        }
+        labs.get(id).entries.push(entry);
+    }
+    for (const lab of Array.from(labs.values()).sort((a, b) => a.label.localeCompare(b.label))) {
+        const points = lab.entries
+            .map(e => ({ date: e.record.metadata.dateOfService, value: Number(e.fields.value) }))
+            .sort(byDate);
+
+        // The most recent result's reference range is shaded
+        const latest = lab.entries.reduce((a, b) => b.record.metadata.dateOfService > a.record.metadata.dateOfService ? b : a);
+        const { referenceLow, referenceHigh } = latest.fields;
+        const range = referenceLow !== undefined || referenceHigh !== undefined
+            ? [referenceLow ?? null, referenceHigh ?? null]
+            : null;
+        series.push({ id: lab.id, label: lab.label, unit: lab.unit, lines: [{ label: lab.label, range, points }] });
+    }
+
+    return series;
+}
+
+// Show the chart of the chosen series
+function displayTrendChart() {
+    const series = currentTrendSeries();
+    document.getElementById("trend-series").classList.toggle("hidden", !series);
+    document.getElementById("btn-share-chart").classList.toggle("hidden", !series);
+    document.getElementById("trend-chart").innerHTML = series
+        ? renderTrendChart(series)
+        : '<p class="empty-state">Nothing to chart yet. Vital signs and numeric lab results entered with the structured form appear here.</p>';
+}
+
+// The series chosen in the trend selector
+function currentTrendSeries() {
+    const id = document.getElementById("trend-series").value;
+    return trendSeries.find(s => s.id === id) || null;
+}
+
+// Round a value for chart labels
+function formatTrendValue(value) {
+    return Number(value.toPrecision(4)).toString();
+}
+
+// Draw a series as a standalone SVG line chart, so the same markup can be saved as an attachment
+function renderTrendChart(series) {
+    const { width, height, left, right, top, bottom } = TREND_CHART;
+    const points = series.lines.flatMap(line => line.points);
+
+    const times = points.map(p => Date.parse(p.date)).filter(Number.isFinite);
+    let minTime = Math.min(...times);
+    let maxTime = Math.max(...times);
+    if (minTime === maxTime) {
+        minTime -= MILLISECONDS_PER_DAY;
+        maxTime += MILLISECONDS_PER_DAY;
+    }
+
+    const values = points.map(p => p.value)
+        .concat(series.lines.flatMap(line => (line.range || []).filter(v => v !== null)));
+    let minValue = Math.min(...values);
+    let maxValue = Math.max(...values);
+    const padding = (maxValue - minValue) * 0.1 || Math.abs(maxValue) * 0.1 || 1;
+    minValue -= padding;
+    maxValue += padding;
+
+    const plotWidth = width - left - right;
+    const plotHeight = height - top - bottom;
+    const x = date => left + (Date.parse(date) - minTime) / (maxTime - minTime) * plotWidth;
+    const y = value => top + (maxValue - value) / (maxValue - minValue) * plotHeight;
+    const unit = series.unit ? ` ${escapeHtml(series.unit)}` : "";
+
+    // Reference ranges open at one end extend to the edge of the chart
+    const ranges = series.lines.map((line, i) => {
+        if (!line.range) return "";
+        const [low, high] = line.range;
+        const y1 = y(high ?? maxValue);
+        const y2 = y(low ?? minValue);
+        return `<rect x="${left}" y="${y1}" width="${plotWidth}" height="${y2 - y1}" fill="${TREND_COLORS[i]}" fill-opacity="0.1"/>`;
+    }).join("");
+
+    const ticks = [0, 1, 2, 3, 4].map(i => {
+        const value = minValue + (maxValue - minValue) * i / 4;
+        return `
+            <line x1="${left}" x2="${width - right}" y1="${y(value)}" y2="${y(value)}" stroke="#E5E7EB"/>
+            <text x="${left - 6}" y="${y(value) + 4}" text-anchor="end" fill="#6B7280">${formatTrendValue(value)}</text>
+        `;
+    }).join("");
+
+    const dates = Array.from(new Set(points.map(p => p.date))).sort();
+    const dateLabels = (dates.length > 2 ? [dates[0], dates[Math.floor(dates.length / 2)], dates[dates.length - 1]] : dates)
+        .map(date => `<text x="${x(date)}" y="${height - 10}" text-anchor="middle" fill="#6B7280">${escapeHtml(date)}</text>`)
+        .join("");
+
+    const lines = series.lines.map((line, i) => `
+        <polyline points="${line.points.map(p => `${x(p.date)},${y(p.value)}`).join(" ")}" fill="none" stroke="${TREND_COLORS[i]}" stroke-width="2"/>
+        ${line.points.map(p => `
+            <circle cx="${x(p.date)}" cy="${y(p.value)}" r="3.5" fill="${TREND_COLORS[i]}">
+                <title>${escapeHtml(p.date)}: ${formatTrendValue(p.value)}${unit}</title>
+            </circle>
+        `).join("")}
+    `).join("");
+
+    const legend = series.lines.length > 1
+        ? series.lines.map((line, i) =>
+            `<text x="${width - right - (series.lines.length - i) * 90}" y="${top - 12}" fill="${TREND_COLORS[i]}" font-weight="600">${escapeHtml(line.label)}</text>`
+        ).join("")
+        : "";
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}"
+        font-family="sans-serif" font-size="11" role="img" aria-label="${escapeHtml(series.label)} over time">
+        <rect width="${width}" height="${height}" fill="#FFFFFF"/>
+        <text x="${left}" y="${top - 12}" font-size="13" font-weight="600" fill="#111827">${escapeHtml(series.label)}${series.unit && !series.label.includes(series.unit) ? unit : ""}</text>
+        ${legend}
+        ${ranges}
+        ${ticks}
+        ${lines}
+        ${dateLabels}
+    </svg>`;
+}
+
+// Save the chart shown as a record with the chart attached, then offer to share that record with a provider
+async function shareTrendChart() {
+    const series = currentTrendSeries();
+    if (!series) return;
+
+    const button = document.getElementById("btn-share-chart");
+    button.disabled = true;
+    try {
+        // The record's text carries the charted values, so the chart can be read without the image
+        const values = series.lines.flatMap(line => line.points.map(p =>
+            `${p.date}  ${series.lines.length > 1 ? `${line.label}: ` : ""}${formatTrendValue(p.value)}${series.unit ? ` ${series.unit}` : ""}`
+        )).sort();
+        const title = `${series.label} trend`;
+        const result = await createRecord("Other", `${title}\n\n${values.join("\n")}`, {
+            title,
+            provider: userProfile ? userProfile.name : "Patient",
+            facility: [],
+            dateOfService: localDateString(),
+            tags: ["trend-chart"]
+        });
+        if (!("ok" in result)) {
+            showMessage("Failed to save chart: " + Object.keys(result.err)[0], "error");
+            return;
+        }
+
+        const { record, keyData } = result.ok;
+        const fileName = `${series.label.toLowerCase().replace(/[^a-z0-9]+/g, "-")}-trend.svg`;
+        await uploadAttachment(record, new File([renderTrendChart(series)], fileName, { type: "image/svg+xml" }), keyData);
+        displayRecords(userRecords);
+
+        // Start the grant with just the chart record selected
+        await openGrantAccessModal();
+        const container = document.getElementById("records-checkbox-list");
+        container.querySelector('input[value="all"]').checked = false;
+        container.querySelectorAll(".record-checkbox input").forEach(cb => {
+            cb.disabled = false;
+            cb.checked = cb.value === record.id.toString();
+        });
+        showMessage("Chart saved as a record. Choose who to share it with.", "info");
+    } catch (error) {
+        console.error("Failed to share chart:", error);
+        showMessage("Failed to share chart", "error");
+    } finally {
+        button.disabled = false;
+    }
+}
+
+// Drug classes for offline conflict checks: how to describe a member, its drugs, how an allergy to the class is usually recorded,
+// and classes an allergy may cross-react with
+const DRUG_CLASSES = {
+    penicillins: { label: "a penicillin", drugs: ["penicillin", "amoxicillin", "ampicillin", "dicloxacillin", "flucloxacillin", "nafcillin", "oxacillin", "piperacillin"], allergyTerms: ["penicillin", "penicillins"] },
+    cephalosporins: { label: "a cephalosporin", drugs: ["cefalexin", "cephalexin", "cefazolin", "cefuroxime", "cefdinir", "cefpodoxime", "ceftriaxone", "cefixime", "cefepime"], allergyTerms: ["cephalosporin", "cephalosporins"], crossReactive: ["penicillins"] },
+    carbapenems: { label: "a carbapenem", drugs: ["meropenem", "imipenem", "ertapenem"], allergyTerms: ["carbapenem", "carbapenems"], crossReactive: ["penicillins"] },
+    sulfonamides: { label: "a sulfonamide antibiotic", drugs: ["sulfamethoxazole", "sulfadiazine", "sulfasalazine", "cotrimoxazole", "bactrim"], allergyTerms: ["sulfa", "sulfonamide", "sulfonamides", "sulpha"] },
+    macrolides: { label: "a macrolide", drugs: ["azithromycin", "clarithromycin", "erythromycin"], allergyTerms: ["macrolide", "macrolides"] },
+    fluoroquinolones: { label: "a fluoroquinolone", drugs: ["ciprofloxacin", "levofloxacin", "moxifloxacin", "ofloxacin"], allergyTerms: ["fluoroquinolone", "fluoroquinolones", "quinolone", "quinolones"] },
+    tetracyclines: { label: "a tetracycline", drugs: ["tetracycline", "doxycycline", "minocycline"], allergyTerms: ["tetracycline", "tetracyclines"] },
+    nsaids: { label: "an NSAID", drugs: ["aspirin", "ibuprofen", "naproxen", "diclofenac", "celecoxib", "ketorolac", "indomethacin", "meloxicam"], allergyTerms: ["nsaid", "nsaids"] },
+    opioids: { label: "an opioid", drugs: ["morphine", "codeine", "oxycodone", "hydrocodone", "hydromorphone", "tramadol", "fentanyl", "methadone", "tapentadol"], allergyTerms: ["opioid", "opioids", "opiate", "opiates"] },
+    benzodiazepines: { label: "a benzodiazepine", drugs: ["diazepam", "lorazepam", "alprazolam", "clonazepam", "temazepam", "midazolam"], allergyTerms: ["benzodiazepine", "benzodiazepines"] },
+    anticoagulants: { label: "an anticoagulant", drugs: ["warfarin", "apixaban", "rivaroxaban", "dabigatran", "edoxaban", "heparin", "enoxaparin"], allergyTerms: ["anticoagulant", "anticoagulants"] },
+    ssris: { label: "an SSRI", drugs: ["fluoxetine", "sertraline", "citalopram", "escitalopram", "paroxetine", "fluvoxamine"], allergyTerms: ["ssri", "ssris"] },
+    maois: { label: "an MAO inhibitor", drugs: ["phenelzine", "tranylcypromine", "isocarboxazid", "selegiline", "rasagiline", "linezolid"], allergyTerms: ["maoi", "maois"] },
+    nitrates: { label: "a nitrate", drugs: ["nitroglycerin", "glyceryl", "isosorbide"], allergyTerms: ["nitrate", "nitrates"] },
+    pde5Inhibitors: { label: "a PDE5 inhibitor", drugs: ["sildenafil", "tadalafil", "vardenafil", "avanafil"], allergyTerms: [] },
+    aceInhibitors: { label: "an ACE inhibitor", drugs: ["lisinopril", "enalapril", "ramipril", "captopril", "perindopril", "benazepril"], allergyTerms: ["ace inhibitor", "ace inhibitors"] },
+    potassiumSparing: { label: "a potassium-sparing diuretic", drugs: ["spironolactone", "eplerenone", "amiloride", "triamterene"], allergyTerms: [] },
+    statins: { label: "a statin", drugs: ["atorvastatin", "simvastatin", "rosuvastatin", "pravastatin", "lovastatin"], allergyTerms: ["statin", "statins"] },
+    methotrexate: { label: "methotrexate", drugs: ["methotrexate"], allergyTerms: [] }
+};
+
+// Known interactions between drug classes; "major" ones should not be combined without a prescriber's review
+const DRUG_INTERACTIONS = [
+    { classes: ["anticoagulants", "nsaids"], severity: "major", effect: "increased risk of bleeding" },
+    { classes: ["anticoagulants", "macrolides"], severity: "moderate", effect: "stronger anticoagulant effect and bleeding risk" },
+    { classes: ["anticoagulants", "fluoroquinolones"], severity: "moderate", effect: "stronger anticoagulant effect and bleeding risk" },
+    { classes: ["ssris", "maois"], severity: "major", effect: "risk of serotonin syndrome" },
+    { classes: ["opioids", "maois"], severity: "major", effect: "risk of serotonin syndrome and severe reactions" },
+    { classes: ["opioids", "benzodiazepines"], severity: "major", effect: "risk of profound sedation and slowed breathing" },
+    { classes: ["nitrates", "pde5Inhibitors"], severity: "major", effect: "risk of severe low blood pressure" },
+    { classes: ["aceInhibitors", "potassiumSparing"], severity: "moderate", effect: "risk of high potassium levels" },
+    { classes: ["statins", "macrolides"], severity: "moderate", effect: "increased risk of muscle damage" },
+    { classes: ["methotrexate", "nsaids"], severity: "major", effect: "increased methotrexate toxicity" },
+    { classes: ["ssris", "nsaids"], severity: "moderate", effect: "increased risk of bleeding" }
+];
+
+// Lowercase words of a drug or allergy name, e.g. "Amoxicillin 500 mg" -> ["amoxicillin", "mg"]
+function drugWords(name) {
+    return (name || "").toLowerCase().match(/[a-z]+/g) || [];
+}
+
+// Classes a drug belongs to
+function drugClassesOf(drug) {
+    const words = drugWords(drug);
+    return Object.keys(DRUG_CLASSES).filter(id => DRUG_CLASSES[id].drugs.some(d => words.includes(d)));
+}
+
+// Classes an allergy refers to, either by naming the class or one of its drugs
+function allergyClassesOf(allergy) {
+    const text = drugWords(allergy).join(" ");
+    const words = text.split(" ");
+    return Object.keys(DRUG_CLASSES).filter(id =>
+        DRUG_CLASSES[id].allergyTerms.some(term => term.includes(" ") ? text.includes(term) : words.includes(term)) ||
+        DRUG_CLASSES[id].drugs.some(d => words.includes(d))
+    );
+}
+
+// Check a drug against recorded allergies and current medications, returning warnings with the most severe first
+function findDrugConflicts(drug, { allergies, medications }) {
+    const words = drugWords(drug).filter(w => w.length > 3);
+    const classes = drugClassesOf(drug);
+    const warnings = [];
+
+    for (const allergy of allergies) {
+        const allergyClasses = allergyClassesOf(allergy);
+        const shared = classes.filter(c => allergyClasses.includes(c));
+        const crossReactive = classes.filter(c =>
+            (DRUG_CLASSES[c].crossReactive || []).some(other => allergyClasses.includes(other)));
+
+        if (drugWords(allergy).some(w => words.includes(w))) {
+            warnings.push({ severity: "major", message: `Recorded allergy to ${allergy}` });
+        } else if (shared.length > 0) {
+            warnings.push({ severity: "major", message: `Recorded allergy to ${allergy}, and ${drug} is ${DRUG_CLASSES[shared[0]].label}` });
+        } else if (crossReactive.length > 0) {
+            warnings.push({ severity: "moderate", message: `Recorded allergy to ${allergy}; ${drug} is ${DRUG_CLASSES[crossReactive[0]].label}, which can cross-react` });
+        }
+    }
+
+    for (const medication of medications) {
+        const otherClasses = drugClassesOf(medication.drug);
+        if (drugWords(medication.drug).some(w => words.includes(w))) {
+            warnings.push({ severity: "moderate", message: `Already taking ${medication.drug}` });
+            continue;
+        }
+
+        const shared = classes.filter(c => otherClasses.includes(c));
+        if (shared.length > 0) {
+            warnings.push({ severity: "moderate", message: `${medication.drug} is also ${DRUG_CLASSES[shared[0]].label}` });
+        }
+        for (const interaction of DRUG_INTERACTIONS) {
+            const [a, b] = interaction.classes;
+            if ((classes.includes(a) && otherClasses.includes(b)) || (classes.includes(b) && otherClasses.includes(a))) {
+                warnings.push({ severity: interaction.severity, message: `Interacts with ${medication.drug}: ${interaction.effect}` });
+            }
+        }
+    }
+
+    return warnings.sort((a, b) => (a.severity === "major" ? 0 : 1) - (b.severity === "major" ? 0 : 1));
+}
+
+// Sort prescriptions by start date, newest first, with undated ones last
+function byStartDate(a, b) {
+    return (b.fields.startDate || "").localeCompare(a.fields.startDate || "");
+}
+
+// Decrypt the prescriptions and allergies among the given records
+async function loadMedicationRecords(records) {
+    const medications = [];
+    const allergies = [];
+    for (const record of records) {
+        const isPrescription = "Prescription" in record.recordType;
+        if (!isPrescription && !("Allergy" in record.recordType)) continue;
+
+        const content = await getDecryptedContent(record);
+        if (isPrescription && content && content.fields) {
+            medications.push({ record, fields: content.fields, active: isActivePrescription(content) });
+        } else if (!isPrescription) {
+            // Free-text allergy records are matched by their title
+            allergies.push(content && content.fields ? content.fields.substance : record.metadata.title);
+        }
+    }
+    return { medications: medications.sort(byStartDate), allergies };
+}
+
+// Load every record once so the medication list is complete, then show it
+async function loadMedications() {
+    try {
+        await ensureAllRecordsLoaded();
+    } catch (error) {
+        console.error("Failed to load records:", error);
+    }
+    await displayMedications();
+}
+
+// Show current medications built from prescription records, warning about conflicts between them
+async function displayMedications() {
+    const render = ++medicationsRender;
+    const { medications, allergies } = await loadMedicationRecords(userRecords);
+    // A newer render started while we were decrypting
+    if (render !== medicationsRender) return;
+
+    const current = medications.filter(m => m.active);
+    const past = medications.filter(m => !m.active);
+    const recordedAllergies = (userProfile ? userProfile.allergies : []).concat(allergies);
+
+    const warnings = [];
+    current.forEach((medication, index) => {
+        // Each pair of current medications is checked once
+        const others = current.slice(index + 1).map(m => ({ drug: m.fields.drug }));
+        for (const warning of findDrugConflicts(medication.fields.drug, { allergies: recordedAllergies, medications: others })) {
+            warnings.push({ ...warning, message: `${medication.fields.drug}: ${warning.message}` });
+        }
+    });
+
+    document.getElementById("medication-warnings").innerHTML = renderConflictWarnings(warnings);
+    const container = document.getElementById("medications-list");
+    if (medications.length === 0) {
+        container.innerHTML = '<p class="empty-state">No prescriptions recorded yet. Prescriptions entered with the structured form appear here.</p>';
+        return;
+    }
+
+    container.innerHTML = `
+        ${current.length > 0 ? current.map(renderMedication).join("") : '<p class="empty-state">No current medications.</p>'}
+        ${past.length > 0 ? `
+            <details class="medications-past">
+                <summary>Past medications (${past.length})</summary>
+                ${past.map(renderMedication).join("")}
+            </details>
+        ` : ""}
+    `;
+}
+
+// Render one medication with its dates and, while it's being taken, a discontinue action
+function renderMedication({ record, fields, active }) {
+    const details = [fields.dose, fields.route, fields.frequency].filter(Boolean).map(escapeHtml).join(" • ");
+    const dates = fields.startDate
+        ? `${active ? "Since" : "From"} ${escapeHtml(fields.startDate)}${fields.stopDate ? ` ${active ? "until" : "to"} ${escapeHtml(fields.stopDate)}` : ""}`
+        : fields.stopDate ? `${active ? "Until" : "Stopped"} ${escapeHtml(fields.stopDate)}` : "No dates recorded";
+
+    return `
+        <div class="medication-item${active ? "" : " medication-past"}">
+            <div class="medication-info">
+                <h4>${escapeHtml(fields.drug)} ${signatureBadge(record)}</h4>
+                <p>${details}</p>
+                <p>${dates}</p>
+            </div>
+            <div class="medication-actions">
+                <button class="btn btn-secondary" onclick="viewRecord(${record.id})">View</button>
+                ${active ? `<button class="btn btn-danger" onclick="discontinueMedication(${record.id})">Discontinue</button>` : ""}
+            </div>
+        </div>
+    `;
+}
+
+// Render conflict warnings, most severe first
+function renderConflictWarnings(warnings) {
+    if (warnings.length === 0) return "";
+    return `<ul class="conflict-list">${warnings.map(w => `
+        <li class="conflict-${w.severity}">${w.severity === "major" ? "⚠️" : "ℹ️"} ${escapeHtml(w.message)}</li>
+    `).join("")}</ul>`;
+}
+
+// Stop a medication by setting the prescription's stop date to today and re-encrypting it
+window.discontinueMedication = async function(recordId) {
+    const record = findRecord(recordId);
+    if (!record) {
+        showMessage("Record not found", "error");
+        return;
+    }
+
+    // Changing a provider-signed record removes its signature
+    const signed = record.signature && record.signature.length > 0;
+    if (!confirm(signed
+        ? "Discontinue this medication? The prescription's stop date becomes today, and its provider signature is removed."
+        : "Discontinue this medication? The prescription's stop date becomes today.")) {
+        return;
+    }
+
+    try {
+        const keyData = await getCurrentKeyData(record);
+        if (!keyData) {
+            showMessage("Encryption key not found. Cannot update record.", "error");
+            return;
+        }
+
+        const key = await crypto.importKey(keyData);
+        const content = parseRecordContent(await crypto.decrypt(await getRecordCiphertext(record), key));
+        const data = serializeRecordFields("Prescription", {
+            ...content.fields,
+            stopDate: localDateString()
+        });
+        const encryptedData = await crypto.encrypt(data, key);
+
+        const result = await actor.updateMedicalRecord(
+            record.id,
+            Array.from(encryptedData),
+            record.encryptionKeyHash,
+            record.metadata
+        );
+
+        if ("ok" in result) {
+            const updated = result.ok;
+            userRecords = userRecords.map(r => r.id === updated.id ? updated : r);
+            await indexRecordContent(updated, data);
+            await refreshEmergencyRecord(updated.id, data);
+            displayRecords(userRecords);
+            showMessage("Medication discontinued", "success");
+        } else {
+            showMessage("Failed to discontinue medication: " + Object.keys(result.err)[0], "error");
+        }
+    } catch (error) {
+        console.error("Failed to discontinue medication:", error);
+        showMessage("Failed to discontinue medication", "error");
+    }
+};
+
+// Allergies and current medications of the patient a prescription in the record form is for
+async function prescriptionConflictContext() {
+    const editing = editingRecordId !== null ? findRecord(editingRecordId) : null;
+    const patientDid = issuingForDid || (editing && !userRecords.includes(editing) ? editing.patientDid : null);
+
+    // Providers only see the records they were granted, and not the patient's profile
+    const records = patientDid ? providerRecords.filter(r => r.patientDid === patientDid) : userRecords;
+    const profileAllergies = !patientDid && userProfile ? userProfile.allergies : [];
+
+    const { medications, allergies } = await loadMedicationRecords(records.filter(r => r !== editing));
+    return {
+        allergies: profileAllergies.concat(allergies),
+        medications: medications.filter(m => m.active).map(m => ({ drug: m.fields.drug }))
+    };
+}
+
+// Check the drug in the record form and show any warnings, returning how many there are
+async function checkPrescriptionConflicts() {
+    const panel = document.getElementById("record-conflicts");
+    const drugInput = document.getElementById("record-field-drug");
+    const check = ++conflictCheck;
+    const drug = drugInput ? drugInput.value.trim() : "";
+
+    const warnings = drug ? findDrugConflicts(drug, await prescriptionConflictContext()) : [];
+    // The drug was changed again while we were checking, so a newer check shows its warnings
+    if (check !== conflictCheck) return warnings.length;
+
+    panel.classList.toggle("hidden", warnings.length === 0);
+    document.getElementById("record-conflicts-list").innerHTML = renderConflictWarnings(warnings);
+    if (warnings.length === 0) {
+        document.getElementById("record-conflicts-ack").checked = false;
+    }
+    return warnings.length;
+}
+
+// Recheck the prescription shortly after the drug name stops changing
+function watchPrescriptionConflicts() {
+    let timer = null;
+    document.getElementById("record-field-drug").addEventListener("input", () => {
+        clearTimeout(timer);
+        timer = setTimeout(checkPrescriptionConflicts, 400);
+    });
+}
+
+// Let a prescription be saved only once any warnings about it have been acknowledged
+async function confirmPrescriptionConflicts() {
+    let warnings;
+    try {
+        warnings = await checkPrescriptionConflicts();
+    } catch (error) {
+        // A failed check shouldn't stop a prescription being recorded
+        console.error("Failed to check medication conflicts:", error);
+        return true;
+    }
+    if (warnings > 0 && !document.getElementById("record-conflicts-ack").checked) {
+        showMessage("Review the medication warnings and confirm them before saving", "error");
+        return false;
+    }
+    return true;
+}
+
+// View record (decrypt and display)
+window.viewRecord = async function(recordId) {
+    try {
+        const record = findRecord(recordId);
+        if (!record) {
+            showMessage("Record not found", "error");
+            return;
+        }
+
+        // Only trust a key whose hash matches the one stored with the record
+        const keyData = await getCurrentKeyData(record);
+        if (!keyData) {
+            showMessage(await getRecordKeyData(recordId)
+                ? "The key on this device doesn't match this record. It may have been re-encrypted on another device; sync or restore your keys."
+                : "Encryption key not found. Cannot decrypt record.", "error");
+            return;
+        }
+
+        const key = await crypto.importKey(keyData);
+        const encryptedData = await getRecordCiphertext(record);
+        const decryptedData = await crypto.decrypt(encryptedData, key);
+
+        // Display in a secure modal instead of alert
+        showRecordModal(record.metadata.title, decryptedData, recordId);
+    } catch (error) {
+        console.error("Failed to decrypt record:", error);
+        showMessage("Failed to decrypt record", "error");
+    }
+};
+
+// Secure modal for displaying decrypted medical data
+function showRecordModal(title, data, recordId) {
+    // Create or reuse modal
+    let modal = document.getElementById("modal-view-record");
+    if (!modal) {
+        modal = document.createElement("div");
+        modal.id = "modal-view-record";
+        modal.className = "modal";
+        modal.innerHTML = `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h3 id="view-record-title">Record Details</h3>
+                    <button class="modal-close" onclick="hideModal('modal-view-record')">&times;</button>
+                </div>
+                <div class="form-group">
+                    <label>Medical Data</label>
+                    <dl id="view-record-fields" class="record-fields hidden"></dl>
+                    <pre id="view-record-data" style="white-space: pre-wrap; word-wrap: break-word; background: var(--background); padding: 1rem; border-radius: 0.5rem; max-height: 400px; overflow-y: auto;"></pre>
+                </div>
+                <div id="view-record-signature" class="form-group record-signature hidden"></div>
+                <div id="view-record-attachments" class="form-group attachment-list"></div>
+                <div id="view-record-history" class="form-group record-history hidden"></div>
+                <div class="form-actions">
+                    <button id="btn-view-history" class="btn btn-secondary">History</button>
+                    <button class="btn btn-secondary" onclick="hideModal('modal-view-record')">Close</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+        
+        // Close on outside click
+        modal.addEventListener("click", (e) => {
+            if (e.target === modal) hideModal("modal-view-record");
+        });
+    }
+    
+    document.getElementById("view-record-title").textContent = title;
+    const content = parseRecordContent(data);
+    const fieldsView = document.getElementById("view-record-fields");
+    const textView = document.getElementById("view-record-data");
+    if (content.fields) {
+        renderStructuredRecord(fieldsView, content);
+    } else {
+        textView.textContent = content.text;
+    }
+    fieldsView.classList.toggle("hidden", !content.fields);
+    textView.classList.toggle("hidden", Boolean(content.fields));
+    document.getElementById("view-record-history").classList.add("hidden");
+    document.getElementById("btn-view-history").onclick = () => showRecordHistory(recordId);
+    modal.classList.remove("hidden");
+
+    if (attachmentPreviewUrl) {
+        URL.revokeObjectURL(attachmentPreviewUrl);
+        attachmentPreviewUrl = null;
+    }
+    loadRecordAttachments(recordId);
+    showRecordSignature(recordId);
+}
+
+// Show the amendment history of a record in the record modal
+async function showRecordHistory(recordId) {
+    const container = document.getElementById("view-record-history");
+
+    try {
+        const result = await actor.getRecordVersions(recordId);
+        if (!("ok" in result)) {
+            showMessage("Failed to load record history: " + Object.keys(result.err)[0], "error");
+            return;
+        }
+
+        container.innerHTML = `
+            <label>Amendment History</label>
+            <div class="version-list">
+                ${result.ok.slice().reverse().map(version => `
+                    <div class="version-item">
+                        <div class="version-info">
+                            <strong>Version ${version.version}${version.isCurrent ? " (current)" : ""}</strong>
+                            <p>${formatEditor(version.editedBy)} • ${formatTimestamp(version.editedAt)}</p>
+                        </div>
+                        <div class="record-actions">
+                            <button class="btn btn-secondary" onclick="viewRecordVersion(${recordId}, ${version.version})">View</button>
+                            ${version.version > 1
+                                ? `<button class="btn btn-secondary" onclick="compareRecordVersions(${recordId}, ${version.version})">Changes</button>`
+                                : ""}
+                        </div>
+                    </div>
+                `).join("")}
+            </div>
+            <div id="view-version-output" class="version-output hidden"></div>
+        `;
+        container.classList.remove("hidden");
+    } catch (error) {
+        console.error("Failed to load record history:", error);
+        showMessage("Failed to load record history", "error");
+    }
+}
+
+// Describe who wrote a record version
+function formatEditor(editor) {
+    if ("Patient" in editor) {
+        return userDID && editor.Patient === userDID.identifier ? "You (patient)" : "Patient";
+    }
+    if ("Caregiver" in editor) {
+        const caregiverText = editor.Caregiver.toString();
+        return userPrincipal && caregiverText === userPrincipal.toString()
+            ? "You (caregiver)"
+            : `Caregiver ${caregiverText}`;
+    }
+    const principalText = editor.Provider.toString();
+    return userPrincipal && principalText === userPrincipal.toString()
+        ? "You (provider)"
+        : `Provider ${principalText}`;
+}
+
+// Format a backend timestamp (nanoseconds) for display
+function formatTimestamp(timestamp) {
+    return new Date(Number(timestamp) / NANOSECONDS_PER_MILLISECOND).toLocaleString();
+}
+
+// Fetch and decrypt a record version into text covering its metadata and content
+async function decryptRecordVersion(recordId, versionNumber) {
+    const result = await actor.getRecordVersion(recordId, versionNumber);
+    if (!("ok" in result)) {
+        throw new Error("Failed to fetch version: " + Object.keys(result.err)[0]);
+    }
+
+    const version = result.ok;
+    const keyData = await getVersionKeyData(recordId, version.encryptionKeyHash);
+    if (!keyData) {
+        throw new Error(`Encryption key for version ${versionNumber} not found`);
+    }
+
+    const key = await crypto.importKey(keyData);
+    const content = recordContentToText(parseRecordContent(
+        await crypto.decrypt(new Uint8Array(version.encryptedData), key)
+    ));
+    const metadata = version.metadata;
+
+    return [
+        `Title: ${metadata.title}`,
+        `Provider: ${metadata.provider}`,
+        `Facility: ${metadata.facility[0] || ""}`,
+        `Date of Service: ${metadata.dateOfService}`,
+        `Tags: ${metadata.tags.join(", ")}`,
+        "",
+        content
+    ].join("\n");
+}
+
+// View a past version of a record
+window.viewRecordVersion = async function(recordId, versionNumber) {
+    const output = document.getElementById("view-version-output");
+
+    try {
+        const text = await decryptRecordVersion(recordId, versionNumber);
+        output.innerHTML = `<label>Version ${versionNumber}</label><pre class="version-text"></pre>`;
+        output.querySelector("pre").textContent = text;
+        output.classList.remove("hidden");
+    } catch (error) {
+        console.error("Failed to decrypt record version:", error);
+        showMessage(error.message || "Failed to decrypt record version", "error");
+    }
+};
+
+// Show the changes a version made compared to the version before it
+window.compareRecordVersions = async function(recordId, versionNumber) {
+    const output = document.getElementById("view-version-output");
+
+    try {
+        const before = await decryptRecordVersion(recordId, versionNumber - 1);
+        const after = await decryptRecordVersion(recordId, versionNumber);
+
+        output.innerHTML = `<label>Changes in version ${versionNumber}</label><div class="version-diff"></div>`;
+        const diffContainer = output.querySelector(".version-diff");
+        diffLines(before, after).forEach(({ type, line }) => {
+            const div = document.createElement("div");
+            div.className = `diff-line diff-${type}`;
+            div.textContent = (type === "added" ? "+ " : type === "removed" ? "- " : "  ") + line;
+            diffContainer.appendChild(div);
+        });
+        output.classList.remove("hidden");
+    } catch (error) {
+        console.error("Failed to compare record versions:", error);
+        showMessage(error.message || "Failed to compare record versions", "error");
+    }
+};
+
+// Line-based diff using the longest common subsequence
+function diffLines(before, after) {
+    const a = before.split("\n");
+    const b = after.split("\n");
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j]
+                ? lcs[i + 1][j + 1] + 1
+                : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const result = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            result.push({ type: "unchanged", line: a[i] });
+            i++;
+            j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            result.push({ type: "removed", line: a[i++] });
+        } else {
+            result.push({ type: "added", line: b[j++] });
+        }
+    }
+    while (i < a.length) result.push({ type: "removed", line: a[i++] });
+    while (j < b.length) result.push({ type: "added", line: b[j++] });
+
+    return result;
+}
+
+// Delete record
+window.deleteRecord = async function(recordId) {
+    if (!confirm("Are you sure you want to delete this record?")) {
+        return;
+    }
+
+    try {
+        const result = await actor.deleteMedicalRecord(recordId);
+        
+        if ("ok" in result) {
+            userRecords = userRecords.filter(r => Number(r.id) !== recordId);
+            contentIndex.delete(recordId.toString());
+            await crypto.deleteSearchEntry(recordId);
+            displayRecords(userRecords);
+            displayAccessGrants(accessGrants);
+            // The backend drops the record from the emergency profile too
+            if (emergencyProfile) {
+                emergencyProfile.records = emergencyProfile.records.filter(r => Number(r.recordId) !== recordId);
+                displayEmergencyProfile();
+            }
+            showMessage("Record deleted successfully", "success");
+        } else {
+            showMessage("Failed to delete record: " + Object.keys(result.err)[0], "error");
+        }
+    } catch (error) {
+        console.error("Failed to delete record:", error);
+        showMessage("Failed to delete record", "error");
+    }
+};
+
+// FHIR resource type used for each record type on export
+const FHIR_RESOURCE_TYPES = {
+    Diagnosis: "Condition",
+    Prescription: "MedicationRequest",
+    LabResult: "Observation",
+    VitalSigns: "Observation",
+    Vaccination: "Immunization",
+    Allergy: "AllergyIntolerance",
+    Procedure: "Procedure",
+    Imaging: "DiagnosticReport",
+    Other: "DocumentReference"
+};
+
+const FHIR_SERUM_PROVIDER = "urn:serum:provider";
+const FHIR_SERUM_FACILITY = "urn:serum:facility";
+const FHIR_SERUM_TAG = "urn:serum:tag";
+
+let fhirImportCandidates = [];
+
+// Export the patient's profile and decrypted records as a FHIR R4 Bundle
+async function exportFhirBundle() {
+    try {
+        await ensureAllRecordsLoaded();
+        const patientUrl = `urn:uuid:${window.crypto.randomUUID()}`;
+        const entries = [{ fullUrl: patientUrl, resource: buildFhirPatient() }];
+
+        if (userProfile && userProfile.bloodType.length > 0) {
+            entries.push({
+                fullUrl: `urn:uuid:${window.crypto.randomUUID()}`,
+                resource: {
+                    resourceType: "Observation",
+                    status: "final",
+                    code: {
+                        coding: [{ system: "http://loinc.org", code: "882-1", display: "ABO and Rh group [Type] in Blood" }],
+                        text: "Blood type"
+                    },
+                    subject: { reference: patientUrl },
+                    valueCodeableConcept: { text: userProfile.bloodType[0] }
+                }
+            });
+        }
+
+        let skipped = 0;
+        for (const record of userRecords) {
+            const keyData = await crypto.getStoredKey(record.id);
+            if (!keyData) {
+                skipped++;
+                continue;
+            }
+
+            const key = await crypto.importKey(keyData);
+            const content = await crypto.decrypt(await getRecordCiphertext(record), key);
+            entries.push({
+                fullUrl: `urn:uuid:${window.crypto.randomUUID()}`,
+                resource: buildFhirResource(record, content, patientUrl)
+            });
+        }
+
+        const bundle = {
+            resourceType: "Bundle",
+            type: "collection",
+            timestamp: new Date().toISOString(),
+            entry: entries
+        };
+
+        const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: "application/fhir+json" });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = `serum-fhir-${new Date().toISOString().slice(0, 10)}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+
+        showMessage(skipped > 0
+            ? `Exported FHIR bundle; ${skipped} record(s) skipped because their keys are missing`
+            : "Exported FHIR bundle", skipped > 0 ? "info" : "success");
+    } catch (error) {
+        console.error("Failed to export FHIR bundle:", error);
+        showMessage("Failed to export FHIR bundle", "error");
+    }
+}
+
+// Build the FHIR Patient resource from the profile
+function buildFhirPatient() {
+    const patientDid = actingFor || (userDID && userDID.identifier);
+    const patient = {
+        resourceType: "Patient",
+        identifier: patientDid ? [{ system: "urn:ietf:rfc:3986", value: patientDid }] : []
+    };
+    if (userProfile) {
+        patient.name = [{ text: userProfile.name }];
+        patient.birthDate = userProfile.dateOfBirth;
+    }
+    return patient;
+}
+
+// LOINC codes for the vital signs form
+const VITAL_SIGN_LOINC = {
+    systolic: { code: "8480-6", display: "Systolic blood pressure", unit: "mm[Hg]" },
+    diastolic: { code: "8462-4", display: "Diastolic blood pressure", unit: "mm[Hg]" },
+    heartRate: { code: "8867-4", display: "Heart rate", unit: "/min" },
+    temperature: { code: "8310-5", display: "Body temperature", unit: "Cel" },
+    spo2: { code: "59408-5", display: "Oxygen saturation in Arterial blood by Pulse oximetry", unit: "%" },
+    weight: { code: "29463-7", display: "Body weight", unit: "kg" }
+};
+
+// Map a decrypted record onto the FHIR resource for its type
+function buildFhirResource(record, text, patientUrl) {
+    const recordType = Object.keys(record.recordType)[0];
+    const { title, provider, facility, dateOfService, tags } = record.metadata;
+    const content = parseRecordContent(text);
+    const fields = content.fields || {};
+    const freeText = content.fields ? fields.notes : content.text;
+    const note = freeText ? [{ text: freeText }] : [];
+    const concept = value => ({ text: value || title });
+
+    const extension = [{ url: FHIR_SERUM_PROVIDER, valueString: provider }];
+    if (facility.length > 0) {
+        extension.push({ url: FHIR_SERUM_FACILITY, valueString: facility[0] });
+    }
+
+    const common = {
+        meta: { tag: tags.map(tag => ({ system: FHIR_SERUM_TAG, code: tag })) },
+        extension
+    };
+
+    switch (recordType) {
+        case "Diagnosis":
+            return {
+                resourceType: "Condition",
+                ...common,
+                clinicalStatus: fields.status ? {
+                    coding: [{ system: "http://terminology.hl7.org/CodeSystem/condition-clinical", code: fields.status }]
+                } : undefined,
+                code: concept(fields.condition),
+                subject: { reference: patientUrl },
+                onsetDateTime: fields.onsetDate || dateOfService,
+                recordedDate: dateOfService,
+                note
+            };
+        case "Prescription":
+            return {
+                resourceType: "MedicationRequest",
+                ...common,
+                status: fields.stopDate && fields.stopDate <= localDateString() ? "completed" : "active",
+                intent: "order",
+                medicationCodeableConcept: concept(fields.drug),
+                subject: { reference: patientUrl },
+                authoredOn: dateOfService,
+                dosageInstruction: content.fields ? [{
+                    text: [fields.dose, fields.route, fields.frequency].filter(Boolean).join(" "),
+                    route: fields.route ? { text: fields.route } : undefined,
+                    timing: fields.frequency ? { code: { text: fields.frequency } } : undefined,
+                    doseAndRate: fields.dose ? [{ doseQuantity: parseFhirQuantity(fields.dose) }] : undefined
+                }] : undefined,
+                dispenseRequest: fields.startDate || fields.stopDate ? {
+                    validityPeriod: { start: fields.startDate, end: fields.stopDate }
+                } : undefined,
+                note
+            };
+        case "LabResult":
+        case "VitalSigns": {
+            const observation = {
+                resourceType: "Observation",
+                ...common,
+                status: "final",
+                category: [{
+                    coding: [{
+                        system: "http://terminology.hl7.org/CodeSystem/observation-category",
+                        code: recordType === "VitalSigns" ? "vital-signs" : "laboratory"
+                    }]
+                }],
+                code: concept(fields.analyte),
+                subject: { reference: patientUrl },
+                effectiveDateTime: dateOfService,
+                note
+            };
+            if (recordType === "LabResult" && fields.value !== undefined) {
+                const value = Number(fields.value);
+                if (Number.isFinite(value)) {
+                    observation.valueQuantity = { value, unit: fields.unit };
+                } else {
+                    observation.valueString = String(fields.value);
+                }
+                if (fields.referenceLow !== undefined || fields.referenceHigh !== undefined) {
+                    observation.referenceRange = [{
+                        low: fields.referenceLow !== undefined ? { value: fields.referenceLow, unit: fields.unit } : undefined,
+                        high: fields.referenceHigh !== undefined ? { value: fields.referenceHigh, unit: fields.unit } : undefined
+                    }];
+                }
+            }
+            if (recordType === "VitalSigns") {
+                observation.component = Object.entries(VITAL_SIGN_LOINC)
+                    .filter(([name]) => fields[name] !== undefined)
+                    .map(([name, loinc]) => ({
+                        code: { coding: [{ system: "http://loinc.org", code: loinc.code, display: loinc.display }] },
+                        valueQuantity: {
+                            value: fields[name],
+                            unit: loinc.unit,
+                            system: "http://unitsofmeasure.org",
+                            code: loinc.unit
+                        }
+                    }));
+            }
+            return observation;
+        }
+        case "Vaccination":
+            return {
+                resourceType: "Immunization",
+                ...common,
+                status: "completed",
+                vaccineCode: concept(fields.vaccine),
+                patient: { reference: patientUrl },
+                occurrenceDateTime: dateOfService,
+                lotNumber: fields.lotNumber,
+                site: fields.site ? { text: fields.site } : undefined,
+                protocolApplied: fields.doseNumber ? [{ doseNumberPositiveInt: fields.doseNumber }] : undefined,
+                note
+            };
+        case "Allergy":
+            return {
+                resourceType: "AllergyIntolerance",
+                ...common,
+                code: concept(fields.substance),
+                patient: { reference: patientUrl },
+                recordedDate: dateOfService,
+                reaction: fields.reaction ? [{
+                    manifestation: [{ text: fields.reaction }],
+                    severity: fields.severity
+                }] : undefined,
+                note
+            };
+        case "Procedure":
+            return {
+                resourceType: "Procedure",
+                ...common,
+                status: "completed",
+                code: concept(fields.procedure),
+                subject: { reference: patientUrl },
+                performedDateTime: dateOfService,
+                bodySite: fields.bodySite ? [{ text: fields.bodySite }] : undefined,
+                outcome: fields.outcome ? { text: fields.outcome } : undefined,
+                note
+            };
+        case "Imaging":
+            return {
+                resourceType: "DiagnosticReport",
+                ...common,
+                status: "final",
+                category: [{ coding: [{ system: "http://terminology.hl7.org/CodeSystem/v2-0074", code: "RAD" }] }],
+                code: concept(content.fields ? [fields.modality, fields.bodyPart].filter(Boolean).join(" ") : null),
+                subject: { reference: patientUrl },
+                effectiveDateTime: dateOfService,
+                conclusion: content.fields
+                    ? [fields.findings, fields.impression].filter(Boolean).join("\n\n")
+                    : content.text
+            };
+        default:
+            return {
+                resourceType: "DocumentReference",
+                ...common,
+                status: "current",
+                description: title,
+                subject: { reference: patientUrl },
+                date: `${dateOfService}T00:00:00Z`,
+                content: [{ attachment: { contentType: "text/plain", data: toBase64(new TextEncoder().encode(text)), title } }]
+            };
+    }
+}
+
+// Split a dose such as "500 mg" into a FHIR Quantity
+function parseFhirQuantity(text) {
+    const match = /^\s*([\d.]+)\s*(.*)$/.exec(text);
+    return match ? { value: Number(match[1]), unit: match[2] || undefined } : undefined;
+}
+
+// Read a FHIR Bundle file and show the records it would import
+async function previewFhirImport(e) {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+
+    try {
+        const bundle = JSON.parse(await file.text());
+        if (bundle.resourceType !== "Bundle" || !Array.isArray(bundle.entry)) {
+            showMessage("The file is not a FHIR Bundle", "error");
+            return;
+        }
+
+        await ensureAllRecordsLoaded();
+        const existing = new Set(userRecords.map(r => fhirDuplicateKey(
+            Object.keys(r.recordType)[0], r.metadata.title, r.metadata.dateOfService
+        )));
+
+        fhirImportCandidates = [];
+        let unsupported = 0;
+        for (const entry of bundle.entry) {
+            const candidate = entry.resource && parseFhirResource(entry.resource);
+            if (!candidate) {
+                if (entry.resource && entry.resource.resourceType !== "Patient") unsupported++;
+                continue;
+            }
+
+            const duplicateKey = fhirDuplicateKey(candidate.recordType, candidate.metadata.title, candidate.metadata.dateOfService);
+            candidate.duplicate = existing.has(duplicateKey);
+            existing.add(duplicateKey);
+            fhirImportCandidates.push(candidate);
+        }
+
+        displayFhirImportPreview(unsupported);
+        showModal("modal-fhir-import");
+    } catch (error) {
+        console.error("Failed to read FHIR bundle:", error);
+        showMessage("Failed to read FHIR bundle", "error");
+    }
+}
+
+// Identify records that describe the same event
+function fhirDuplicateKey(recordType, title, dateOfService) {
+    return `${recordType}|${title.trim().toLowerCase()}|${dateOfService}`;
+}
+
+// Text of a FHIR CodeableConcept
+function fhirConceptText(concept) {
+    if (!concept) return "";
+    return concept.text || (concept.coding || []).map(c => c.display || c.code).filter(Boolean).join(", ");
+}
+
+// Map a FHIR resource onto a record, or null if it has no Serum equivalent
+function parseFhirResource(resource) {
+    const extensions = resource.extension || [];
+    const findExtension = url => (extensions.find(x => x.url === url) || {}).valueString;
+    const notes = (resource.note || []).map(n => n.text).filter(Boolean).join("\n") || undefined;
+    const display = reference => reference && reference.display;
+    const categories = (resource.category || []).flatMap(c => (c.coding || []).map(coding => coding.code));
+
+    let recordType;
+    let title;
+    let date;
+    let fields = {};
+    let text = null;
+    let provider;
+
+    switch (resource.resourceType) {
+        case "Condition":
+            recordType = "Diagnosis";
+            title = fhirConceptText(resource.code);
+            date = resource.recordedDate || resource.onsetDateTime;
+            provider = display(resource.recorder) || display(resource.asserter);
+            fields = {
+                condition: title,
+                status: (resource.clinicalStatus?.coding || [])[0]?.code,
+                onsetDate: resource.onsetDateTime?.slice(0, 10),
+                notes
+            };
+            break;
+        case "MedicationRequest": {
+            recordType = "Prescription";
+            title = fhirConceptText(resource.medicationCodeableConcept) || display(resource.medicationReference);
+            date = resource.authoredOn;
+            provider = display(resource.requester);
+            const dosage = (resource.dosageInstruction || [])[0] || {};
+            const doseQuantity = (dosage.doseAndRate || [])[0]?.doseQuantity;
+            const period = resource.dispenseRequest?.validityPeriod || {};
+            fields = {
+                drug: title,
+                dose: doseQuantity ? `${doseQuantity.value} ${doseQuantity.unit || ""}`.trim() : dosage.text,
+                route: fhirConceptText(dosage.route)?.toLowerCase() || undefined,
+                frequency: fhirConceptText(dosage.timing?.code) || undefined,
+                startDate: period.start?.slice(0, 10),
+                stopDate: period.end?.slice(0, 10),
+                notes
+            };
+            break;
+        }
+        case "Observation": {
+            // The blood type we export with the profile is not a record
+            if ((resource.code?.coding || []).some(c => c.code === "882-1")) return null;
+            title = fhirConceptText(resource.code);
+            date = resource.effectiveDateTime || resource.effectivePeriod?.start || resource.issued;
+            provider = display((resource.performer || [])[0]);
+
+            if (categories.includes("vital-signs")) {
+                recordType = "VitalSigns";
+                fields = { notes };
+                // Vital signs come either as components of one Observation or as separate Observations
+                for (const part of [resource, ...(resource.component || [])]) {
+                    const codes = (part.code?.coding || []).map(c => c.code);
+                    const name = Object.keys(VITAL_SIGN_LOINC).find(n => codes.includes(VITAL_SIGN_LOINC[n].code));
+                    if (name && part.valueQuantity) fields[name] = part.valueQuantity.value;
+                }
+                if (!Object.keys(VITAL_SIGN_LOINC).some(n => fields[n] !== undefined)) {
+                    fields.notes = [formatFhirValue(resource), notes].filter(Boolean).join("\n");
+                }
+            } else {
+                recordType = "LabResult";
+                const range = (resource.referenceRange || [])[0] || {};
+                fields = {
+                    analyte: title,
+                    value: resource.valueQuantity ? resource.valueQuantity.value : formatFhirValue(resource) || undefined,
+                    unit: resource.valueQuantity?.unit,
+                    referenceLow: range.low?.value,
+                    referenceHigh: range.high?.value,
+                    notes: [range.text, notes].filter(Boolean).join("\n") || undefined
+                };
+            }
+            break;
+        }
+        case "Immunization":
+            recordType = "Vaccination";
+            title = fhirConceptText(resource.vaccineCode);
+            date = resource.occurrenceDateTime || resource.recorded;
+            provider = display((resource.performer || [])[0]?.actor);
+            fields = {
+                vaccine: title,
+                lotNumber: resource.lotNumber,
+                doseNumber: (resource.protocolApplied || [])[0]?.doseNumberPositiveInt,
+                site: fhirConceptText(resource.site) || undefined,
+                notes
+            };
+            break;
+        case "AllergyIntolerance": {
+            recordType = "Allergy";
+            title = fhirConceptText(resource.code);
+            date = resource.recordedDate || resource.onsetDateTime;
+            provider = display(resource.recorder);
+            const reaction = (resource.reaction || [])[0] || {};
+            fields = {
+                substance: title,
+                reaction: (reaction.manifestation || []).map(fhirConceptText).join(", ") || undefined,
+                severity: reaction.severity,
+                notes
+            };
+            break;
+        }
+        case "Procedure":
+            recordType = "Procedure";
+            title = fhirConceptText(resource.code);
+            date = resource.performedDateTime || resource.performedPeriod?.start;
+            provider = display((resource.performer || [])[0]?.actor);
+            fields = {
+                procedure: title,
+                bodySite: fhirConceptText((resource.bodySite || [])[0]) || undefined,
+                outcome: fhirConceptText(resource.outcome) || undefined,
+                notes
+            };
+            break;
+        case "DiagnosticReport":
+            title = fhirConceptText(resource.code);
+            date = resource.effectiveDateTime || resource.effectivePeriod?.start || resource.issued;
+            provider = display((resource.performer || [])[0]);
+            if (categories.some(c => c === "RAD" || c === "imaging")) {
+                recordType = "Imaging";
+                const modality = RECORD_SCHEMAS.Imaging[0].options.find(m => title.toLowerCase().startsWith(m.toLowerCase()));
+                fields = {
+                    modality: modality || "Other",
+                    bodyPart: modality ? title.slice(modality.length).trim() : undefined,
+                    findings: resource.conclusion
+                };
+            } else {
+                recordType = "LabResult";
+                fields = { analyte: title, value: resource.conclusion || "see report" };
+            }
+            break;
+        case "DocumentReference": {
+            recordType = "Other";
+            const attachment = (resource.content || [])[0]?.attachment || {};
+            title = resource.description || attachment.title;
+            date = resource.date;
+            provider = display((resource.author || [])[0]);
+            text = attachment.data && (attachment.contentType || "").startsWith("text/")
+                ? new TextDecoder().decode(fromBase64(attachment.data))
+                : "";
+            break;
+        }
+        default:
+            return null;
+    }
+
+    // Drop fields the resource did not provide
+    fields = Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined && value !== ""));
+
+    const facility = findExtension(FHIR_SERUM_FACILITY);
+    return {
+        recordType,
+        data: RECORD_SCHEMAS[recordType] ? serializeRecordFields(recordType, fields) : text,
+        metadata: {
+            title: title || resource.resourceType,
+            provider: findExtension(FHIR_SERUM_PROVIDER) || provider || "Imported from FHIR",
+            facility: facility ? [facility] : [],
+            dateOfService: (date || new Date().toISOString()).slice(0, 10),
+            tags: (resource.meta?.tag || []).filter(t => t.system === FHIR_SERUM_TAG).map(t => t.code)
+        }
+    };
+}
+
+// Format the value of a FHIR Observation or Observation component
+function formatFhirValue(observation) {
+    if (observation.valueQuantity) {
+        return `${observation.valueQuantity.value} ${observation.valueQuantity.unit || ""}`.trim();
+    }
+    if (observation.valueCodeableConcept) return fhirConceptText(observation.valueCodeableConcept);
+    if (observation.valueString !== undefined) return observation.valueString;
+    if (observation.valueBoolean !== undefined) return String(observation.valueBoolean);
+    return "";
+}
+
+// Show the records found in a FHIR Bundle, with duplicates unselected
+function displayFhirImportPreview(unsupported) {
+    const duplicates = fhirImportCandidates.filter(c => c.duplicate).length;
+    const summary = [`${fhirImportCandidates.length} record(s) found`];
+    if (duplicates > 0) summary.push(`${duplicates} already in your records`);
+    if (unsupported > 0) summary.push(`${unsupported} unsupported resource(s) skipped`);
+    document.getElementById("fhir-import-summary").textContent = summary.join(", ") + ".";
+
+    const list = document.getElementById("fhir-import-list");
+    list.innerHTML = "";
+    fhirImportCandidates.forEach((candidate, index) => {
+        const label = document.createElement("label");
+        const checkbox = document.createElement("input");
+        checkbox.type = "checkbox";
+        checkbox.name = "fhir-record";
+        checkbox.value = index;
+        checkbox.checked = !candidate.duplicate;
+
+        const { title, dateOfService, provider } = candidate.metadata;
+        label.append(checkbox, ` ${title} (${candidate.recordType}, ${dateOfService}, ${provider})`);
+        if (candidate.duplicate) {
+            const badge = document.createElement("span");
+            badge.className = "record-tag";
+            badge.textContent = "duplicate";
+            label.append(" ", badge);
+        }
+        list.appendChild(label);
+    });
+
+    document.getElementById("fhir-import-submit").disabled = fhirImportCandidates.length === 0;
+}
+
+// Encrypt and upload the selected records from the FHIR Bundle
+async function importFhirRecords(e) {
+    e.preventDefault();
+
+    const selected = Array.from(document.querySelectorAll('input[name="fhir-record"]:checked'))
+        .map(cb => fhirImportCandidates[Number(cb.value)]);
+    if (selected.length === 0) {
+        showMessage("Select at least one record to import", "error");
+        return;
+    }
+
+    const submit = document.getElementById("fhir-import-submit");
+    submit.disabled = true;
+    let imported = 0;
+
+    try {
+        for (const candidate of selected) {
+            showMessage(`Importing record ${imported + 1} of ${selected.length}...`, "info");
+            const result = await createRecord(candidate.recordType, candidate.data, candidate.metadata);
+            if (!("ok" in result)) {
+                throw new Error(Object.keys(result.err)[0]);
+            }
+            imported++;
+        }
+
+        hideModal("modal-fhir-import");
+        showMessage(`Imported ${imported} record(s)`, "success");
+    } catch (error) {
+        console.error("Failed to import FHIR records:", error);
+        showMessage(`Imported ${imported} of ${selected.length} record(s): ${error.message}`, "error");
+    } finally {
+        submit.disabled = false;
+        displayRecords(userRecords);
+        displayKeyVaultStatus();
+    }
+}
+
+// Sections of the patient summary, following the International Patient Summary (IPS), in print order
+const SUMMARY_SECTIONS = [
+    { title: "Allergies and Intolerances", types: ["Allergy"] },
+    { title: "Medication Summary", types: ["Prescription"] },
+    { title: "Problem List", types: ["Diagnosis"] },
+    { title: "History of Past Illness", types: ["Diagnosis"] },
+    { title: "Immunizations", types: ["Vaccination"] },
+    { title: "Results", types: ["LabResult", "Imaging"] },
+    { title: "Vital Signs", types: ["VitalSigns"] },
+    { title: "History of Procedures", types: ["Procedure"] }
+];
+
+// Diagnosis statuses that put a condition in the past illness section instead of the problem list
+const PAST_CONDITION_STATUSES = ["resolved", "remission"];
+
+// Open the summary modal with every record that can go into a section ticked
+async function openPatientSummaryModal() {
+    try {
+        await ensureAllRecordsLoaded();
+    } catch (error) {
+        console.error("Failed to load records:", error);
+        showMessage("Failed to load your records", "error");
+        return;
+    }
+
+    const types = SUMMARY_SECTIONS.flatMap(section => section.types);
+    const records = userRecords
+        .filter(r => types.includes(Object.keys(r.recordType)[0]))
+        .sort((a, b) => b.metadata.dateOfService.localeCompare(a.metadata.dateOfService));
+
+    document.getElementById("summary-record-list").innerHTML = records.length === 0
+        ? '<p class="empty-state">No records to summarize yet. The summary will only show your profile.</p>'
+        : records.map(record => `
+            <label>
+                <input type="checkbox" name="summary-record" value="${record.id}" checked>
+                ${escapeHtml(record.metadata.title)}
+                <span class="record-tag record-type">${Object.keys(record.recordType)[0]}</span>
+                ${escapeHtml(record.metadata.dateOfService)}
+            </label>
+        `).join("");
+
+    showModal("modal-patient-summary");
+}
+
+// Decrypt the chosen records and lay them out as a printable patient summary
+async function createPatientSummary(e) {
+    e.preventDefault();
+
+    const ids = Array.from(document.querySelectorAll('input[name="summary-record"]:checked')).map(cb => cb.value);
+    const months = Number(document.getElementById("summary-results-months").value);
+    const cutoff = new Date();
+    cutoff.setMonth(cutoff.getMonth() - months);
+    const resultsFrom = months > 0 ? localDateString(cutoff) : "";
+
+    const entries = [];
+    let skipped = 0;
+    for (const record of userRecords.filter(r => ids.includes(r.id.toString()))) {
+        const type = Object.keys(record.recordType)[0];
+        if ((type === "LabResult" || type === "Imaging") && record.metadata.dateOfService < resultsFrom) continue;
+
+        try {
+            entries.push({ record, type, content: parseRecordContent(await decryptRecordData(record)) });
+        } catch (error) {
+            console.error(`Failed to decrypt record ${record.id} for the summary:`, error);
+            skipped++;
+        }
+    }
+    entries.sort((a, b) => b.record.metadata.dateOfService.localeCompare(a.record.metadata.dateOfService));
+
+    document.getElementById("patient-summary-document").innerHTML = renderPatientSummary(entries);
+    hideModal("modal-patient-summary");
+    showModal("modal-patient-summary-preview");
+
+    if (skipped > 0) {
+        showMessage(`${skipped} record(s) left out because their keys are missing on this device`, "info");
+    }
+}
+
+// Build the summary document: the patient's details, then one table per section
+function renderPatientSummary(entries) {
+    const profile = userProfile;
+    const ofType = (...types) => entries.filter(entry => types.includes(entry.type));
+    const isPast = entry => entry.content.fields && PAST_CONDITION_STATUSES.includes(entry.content.fields.status);
+
+    // Allergies listed in the profile come first, as they have no record of their own
+    const profileAllergies = (profile ? profile.allergies : []).filter(Boolean).map(allergy => [
+        escapeHtml(allergy), "", "", "", "Patient profile"
+    ]);
+
+    // Free-text records keep their title and text; structured ones fill the section's columns
+    const sections = [
+        summarySection(SUMMARY_SECTIONS[0].title, ["Substance", "Reaction", "Severity", "Recorded", "Source"],
+            [...profileAllergies, ...ofType("Allergy").map(entry => summaryRow(entry, ["substance", "reaction", "severity"]))],
+            "No known allergies recorded."),
+        summarySection(SUMMARY_SECTIONS[1].title, ["Medication", "Dose", "Route", "Frequency", "Since", "Source"],
+            ofType("Prescription")
+                .filter(entry => !entry.content.fields || isActivePrescription(entry.content))
+                .map(entry => summaryRow(entry, ["drug", "dose", "route", "frequency"], entry.content.fields && entry.content.fields.startDate)),
+            "No current medications recorded."),
+        summarySection(SUMMARY_SECTIONS[2].title, ["Condition", "Status", "Onset", "Source"],
+            ofType("Diagnosis").filter(entry => !isPast(entry))
+                .map(entry => summaryRow(entry, ["condition", "status"], entry.content.fields && entry.content.fields.onsetDate)),
+            "No current problems recorded."),
+        summarySection(SUMMARY_SECTIONS[3].title, ["Condition", "Status", "Onset", "Source"],
+            ofType("Diagnosis").filter(isPast)
+                .map(entry => summaryRow(entry, ["condition", "status"], entry.content.fields.onsetDate)),
+            null),
+        summarySection(SUMMARY_SECTIONS[4].title, ["Vaccine", "Dose", "Lot", "Date", "Source"],
+            ofType("Vaccination").map(entry => summaryRow(entry, ["vaccine", "doseNumber", "lotNumber"])),
+            "No immunizations recorded."),
+        summarySection(SUMMARY_SECTIONS[5].title, ["Test", "Result", "Reference Range", "Date", "Source"],
+            ofType("LabResult", "Imaging").map(summaryResultRow),
+            "No results in the chosen period."),
+        summarySection(SUMMARY_SECTIONS[6].title, ["Measurement", "Value", "Date", "Source"],
+            latestVitalSigns(ofType("VitalSigns")),
+            null),
+        summarySection(SUMMARY_SECTIONS[7].title, ["Procedure", "Body Site", "Outcome", "Date", "Source"],
+            ofType("Procedure").map(entry => summaryRow(entry, ["procedure", "bodySite", "outcome"])),
+            null)
+    ];
+
+    const details = [
+        ["Name", profile ? profile.name : ""],
+        ["Date of Birth", profile ? profile.dateOfBirth : ""],
+        ["Blood Type", profile && profile.bloodType.length > 0 ? profile.bloodType[0] : "Not recorded"],
+        ["DID", shownDid() || ""]
+    ];
+
+    return `
+        <header class="summary-header">
+            <h2>Patient Summary</h2>
+            <p>International Patient Summary (IPS) style overview, generated ${escapeHtml(new Date().toLocaleString())} from Serum</p>
+        </header>
+        <dl class="summary-patient">
+            ${details.map(([term, value]) => `<dt>${term}</dt><dd>${escapeHtml(value)}</dd>`).join("")}
+        </dl>
+        ${sections.join("")}
+        <p class="summary-footnote">Entries are reported by the patient unless marked as verified by the provider who signed them.</p>
+    `;
+}
+
+// Render one section as a table, or a statement when it has no entries (empty optional sections are left out)
+function summarySection(title, headers, rows, emptyText) {
+    if (rows.length === 0 && emptyText === null) return "";
+
+    const body = rows.length === 0
+        ? `<p class="empty-state">${emptyText}</p>`
+        : `<table>
+            <thead><tr>${headers.map(h => `<th>${h}</th>`).join("")}</tr></thead>
+            <tbody>${rows.map(row => `<tr>${row.map(cell => `<td>${cell}</td>`).join("")}</tr>`).join("")}</tbody>
+        </table>`;
+    return `<section class="summary-section"><h3>${title}</h3>${body}</section>`;
+}
+
+// Table row of a record's fields followed by its date and source, as escaped HTML cells
+function summaryRow(entry, fieldNames, date = null) {
+    const { record, content } = entry;
+    const cells = content.fields
+        ? fieldNames.map(name => escapeHtml(String(content.fields[name] ?? "")))
+        : [
+            `${escapeHtml(record.metadata.title)}<div class="summary-note">${escapeHtml(content.text)}</div>`,
+            ...fieldNames.slice(1).map(() => "")
+        ];
+    return [...cells, escapeHtml(date || record.metadata.dateOfService), summarySource(record)];
+}
+
+// Table row of a lab result or imaging report
+function summaryResultRow(entry) {
+    const { record, content } = entry;
+    const fields = content.fields;
+    if (!fields) {
+        return summaryRow(entry, ["title", "result", "range"]);
+    }
+
+    if (entry.type === "Imaging") {
+        return [
+            escapeHtml([fields.modality, fields.bodyPart].filter(Boolean).join(" ")),
+            escapeHtml(fields.impression || fields.findings || ""),
+            "",
+            escapeHtml(record.metadata.dateOfService),
+            summarySource(record)
+        ];
+    }
+
+    const flag = labValueFlag(fields);
+    const hasRange = fields.referenceLow !== undefined || fields.referenceHigh !== undefined;
+    return [
+        escapeHtml(fields.analyte),
+        escapeHtml(`${fields.value}${fields.unit ? ` ${fields.unit}` : ""}`) + (flag ? ` <strong>(${flag})</strong>` : ""),
+        hasRange ? escapeHtml(`${fields.referenceLow ?? ""}–${fields.referenceHigh ?? ""}`) : "",
+        escapeHtml(record.metadata.dateOfService),
+        summarySource(record)
+    ];
+}
+
+// Rows with the most recent value of each vital sign
+function latestVitalSigns(entries) {
+    const rows = [];
+    for (const field of RECORD_SCHEMAS.VitalSigns.filter(f => f.measurement)) {
+        // Entries are sorted newest first
+        const latest = entries.find(entry => entry.content.fields && entry.content.fields[field.name] !== undefined);
+        if (latest) {
+            rows.push([
+                field.label,
+                escapeHtml(formatFieldValue(field, latest.content.fields[field.name], latest.content.fields)),
+                escapeHtml(latest.record.metadata.dateOfService),
+                summarySource(latest.record)
+            ]);
+        }
+    }
+    return rows;
+}
+
+// Who an entry comes from, noting provider signatures that have been verified
+function summarySource(record) {
+    const provider = escapeHtml(record.metadata.provider);
+    return signatureStatus(record) === "verified" ? `${provider} <strong>(verified)</strong>` : provider;
+}
+
+// Print the summary on its own; the browser's print dialog can also save it as PDF
+function printPatientSummary() {
+    document.body.classList.add("printing-summary");
+    window.addEventListener("afterprint", () => document.body.classList.remove("printing-summary"), { once: true });
+    window.print();
+}
+
+// Open the grant modal, optionally pre-filled with the terms of a provider's access request or of a grant to edit
+async function openGrantAccessModal(request = null, grant = null) {
+    await ensureAllRecordsLoaded();
+    respondingRequestId = request ? request.id : null;
+    editingGrantId = grant ? grant.id : null;
+    document.getElementById("access-form").reset();
+    document.getElementById("access-filter-type").value = "";
+    document.getElementById("access-filter-tags").value = "";
+
+    const principalInput = document.getElementById("access-principal");
+    principalInput.readOnly = request !== null || grant !== null;
+    document.getElementById("grant-access-title").textContent = request ? "Approve Access Request"
+        : grant ? "Edit Access Grant" : "Grant Access to Provider";
+    document.getElementById("grant-access-submit").textContent = request ? "Approve Request"
+        : grant ? "Save Changes" : "Grant Access";
+
+    // Requests for particular record types start with just those records selected
+    const requestedIds = grant
+        ? (grant.recordIds.length === 0 ? null : grant.recordIds)
+        : request ? requestRecordIds(request) : null;
+    const shareAll = requestedIds === null;
+
+    const container = document.getElementById("records-checkbox-list");
+    container.innerHTML = `
+        <label class="record-checkbox-all"><input type="checkbox" name="record" value="all" ${shareAll ? "checked" : ""}> All Records (including future records)</label>
+        ${userRecords.map(record => `
+            <label class="record-checkbox" data-id="${record.id}">
+                <input type="checkbox" name="record" value="${record.id}"
+                    ${shareAll ? "disabled" : ""} ${requestedIds && requestedIds.includes(record.id) ? "checked" : ""}>
+                <span>${escapeHtml(record.metadata.title)}</span>
+                <span class="record-tag record-type">${Object.keys(record.recordType)[0]}</span>
+            </label>
+        `).join("")}
+    `;
+
+    container.querySelector('input[value="all"]').addEventListener("change", (e) => {
+        container.querySelectorAll('.record-checkbox input').forEach(cb => {
+            cb.disabled = e.target.checked;
+        });
+    });
+
+    if (request) {
+        principalInput.value = request.requester.toString();
+        document.querySelectorAll('input[name="permission"]').forEach(cb => {
+            cb.checked = request.permissions.some(p => cb.value in p);
+        });
+        const expiresAt = requestExpiry(request);
+        document.getElementById("access-expiry").value = expiresAt.length > 0
+            ? toDateTimeLocal(new Date(Number(expiresAt[0]) / NANOSECONDS_PER_MILLISECOND))
+            : "";
+    }
+
+    if (grant) {
+        principalInput.value = grant.grantedTo.toString();
+        document.querySelectorAll('input[name="permission"]').forEach(cb => {
+            cb.checked = grant.permissions.some(p => cb.value in p);
+        });
+        document.getElementById("access-expiry").value = grant.expiresAt.length > 0
+            ? toDateTimeLocal(new Date(Number(grant.expiresAt[0]) / NANOSECONDS_PER_MILLISECOND))
+            : "";
+    }
+
+    showModal("modal-grant-access");
+}
+
+// Check whether a record matches a record type and a list of tags
+function recordMatchesFilter(record, recordType, tags) {
+    if (recordType && !(recordType in record.recordType)) {
+        return false;
+    }
+    const recordTags = record.metadata.tags.map(t => t.toLowerCase());
+    return tags.every(tag => recordTags.includes(tag));
+}
+
+// Show only the record checkboxes matching the type and tag filters
+function filterRecordCheckboxes() {
+    const recordType = document.getElementById("access-filter-type").value;
+    const tagsText = document.getElementById("access-filter-tags").value;
+    const tags = tagsText ? tagsText.split(",").map(t => t.trim().toLowerCase()).filter(t => t) : [];
+
+    document.querySelectorAll("#records-checkbox-list .record-checkbox").forEach(label => {
+        const record = userRecords.find(r => r.id.toString() === label.dataset.id);
+        label.classList.toggle("hidden", !record || !recordMatchesFilter(record, recordType, tags));
+    });
+}
+
+// Check or uncheck the records currently shown by the filters
+function setShownRecordsChecked(checked) {
+    const allCheckbox = document.querySelector('#records-checkbox-list input[value="all"]');
+    if (allCheckbox.checked) {
+        allCheckbox.checked = false;
+        allCheckbox.dispatchEvent(new Event("change"));
+    }
+
+    document.querySelectorAll("#records-checkbox-list .record-checkbox:not(.hidden) input").forEach(cb => {
+        cb.checked = checked;
+    });
+}
+
+// Describe which records a grant covers
+function describeGrantScope(grant) {
+    if (grant.recordIds.length === 0) {
+        return "All records";
+    }
+    return grant.recordIds.map(id => {
+        const record = userRecords.find(r => r.id.toString() === id.toString());
+        if (record) return record.metadata.title;
+        return recordsComplete ? `Deleted record #${id}` : `Record #${id}`;
+    }).join(", ");
+}
+
+// Grant access
+async function grantAccess(e) {
+    e.preventDefault();
+
+    try {
+        const principalText = document.getElementById("access-principal").value;
+        const principal = Principal.fromText(principalText);
+        
+        const permissionCheckboxes = document.querySelectorAll('input[name="permission"]:checked');
+        const permissions = Array.from(permissionCheckboxes).map(cb => ({ [cb.value]: null }));
+
+        const expiryInput = document.getElementById("access-expiry").value;
+        const expiresAt = expiryInput 
+            ? [BigInt(new Date(expiryInput).getTime() * NANOSECONDS_PER_MILLISECOND)]
+            : [];
+
+        // Empty array means all records, including ones added later
+        const shareAll = document.querySelector('#records-checkbox-list input[value="all"]').checked;
+        const recordIds = shareAll
+            ? []
+            : Array.from(document.querySelectorAll('#records-checkbox-list input[name="record"]:checked'))
+                .map(cb => BigInt(cb.value));
+
+        if (!shareAll && recordIds.length === 0) {
+            showMessage("Select at least one record to share", "error");
+            return;
+        }
+
+        // Approving a request grants through the request so the provider sees its outcome
+        const requestId = respondingRequestId;
+        const grantId = editingGrantId;
+        const result = grantId !== null
+            ? await actor.updateGrant(grantId, recordIds, permissions, expiresAt)
+            : requestId !== null
+                ? await actor.approveAccessRequest(requestId, recordIds, permissions, expiresAt)
+                : await actor.grantAccess(principal, recordIds, permissions, expiresAt, onBehalfOf());
+
+        if ("ok" in result) {
+            hideModal("modal-grant-access");
+            document.getElementById("access-form").reset();
+            respondingRequestId = null;
+            editingGrantId = null;
+            if (requestId !== null) loadAccessRequests();
+            await completeGrant(result.ok, grantId !== null ? "Access grant updated" : "Access granted successfully!");
+        } else {
+            showMessage("Failed to grant access: " + Object.keys(result.err)[0], "error");
+        }
+    } catch (error) {
+        console.error("Failed to grant access:", error);
+        showMessage("Failed to grant access. Check the principal ID.", "error");
+    }
+}
+
+// Show a new or changed grant and wrap the granted records' keys for the provider
+async function completeGrant(grant, successMessage = "Access granted successfully!") {
+    const index = accessGrants.findIndex(g => g.id === grant.id);
+    if (index >= 0) {
+        accessGrants[index] = grant;
+    } else {
+        accessGrants.push(grant);
+    }
+    displayAccessGrants(accessGrants);
+    loadAuditLog(0);
+
+    // Providers can only decrypt records whose keys we wrap for them
+    if (!grant.permissions.some(p => "Read" in p)) {
+        showMessage(successMessage, "success");
+        return;
+    }
+    try {
+        if (await shareRecordKeys(grant.grantedTo, getGrantRecords(grant))) {
+            showMessage(successMessage, "success");
+        } else {
+            showMessage("Access granted, but the provider has not published an encryption key yet. Use \"Share Keys\" once they have logged in to Serum.", "info");
+        }
+    } catch (error) {
+        console.error("Failed to share record keys:", error);
+        showMessage("Access granted, but sharing record keys failed. Use \"Share Keys\" to retry.", "error");
+    }
+}
+
+// Display access grants, with expired ones the canister hasn't pruned yet shown among the expired grants
+function displayAccessGrants(grants) {
+    const container = document.getElementById("access-list");
+    const active = grants.filter(isGrantActive);
+
+    displayGrantReminders(active);
+    displayGrantHistory(grants.filter(g => !isGrantActive(g)).concat(grantHistory));
+
+    if (active.length === 0) {
+        container.innerHTML = '<p class="empty-state">No access grants yet. Share your records securely with healthcare providers.</p>';
+        return;
+    }
+
+    container.innerHTML = active.map(grant => {
+        const expiringSoon = isGrantExpiringSoon(grant);
+        return `
+            <div class="access-item${expiringSoon ? " grant-expiring" : ""}">
+                <h4>Provider: ${grant.grantedTo.toString()}</h4>
+                <p>
+                    Expires: ${formatGrantExpiry(grant)}
+                    ${expiringSoon ? `<span class="request-status">${describeTimeLeft(grant)}</span>` : ""}
+                </p>
+                <p>Records: ${escapeHtml(describeGrantScope(grant))}</p>
+                <div class="access-permissions">
+                    ${grant.permissions.map(p => 
+                        `<span class="permission-badge">${Object.keys(p)[0]}</span>`
+                    ).join("")}
+                </div>
+                <div class="access-actions">
+                    <button class="btn btn-secondary" onclick="editGrant(${grant.id})">Edit</button>
+                    ${grant.expiresAt.length > 0 ? `
+                        <select class="grant-extend" onchange="extendGrant(${grant.id}, this.value)">
+                            <option value="">Extend...</option>
+                            <option value="7">+7 days</option>
+                            <option value="30">+30 days</option>
+                            <option value="90">+90 days</option>
+                        </select>
+                    ` : ""}
+                    <button class="btn btn-secondary"
+                        onclick="shareGrantKeys('${grant.grantedTo.toString()}')">
+                        Share Keys
+                    </button>
+                    <button class="btn btn-danger" onclick="revokeGrant(${grant.id})">Revoke</button>
+                </div>
+            </div>
+        `;
+    }).join("");
+}
+
+// Share record keys again for every active grant made to a provider
+window.shareGrantKeys = async function(principalText) {
+    try {
+        const principal = Principal.fromText(principalText);
+        await ensureAllRecordsLoaded();
+        const grants = accessGrants.filter(g =>
+            g.grantedTo.toString() === principalText &&
+            isGrantActive(g) &&
+            g.permissions.some(p => "Read" in p)
+        );
+        const records = [...new Set(grants.flatMap(getGrantRecords))];
+
+        if (await shareRecordKeys(principal, records)) {
+            showMessage("Record keys shared with provider", "success");
+        } else {
+            showMessage("The provider has not published an encryption key yet", "error");
+        }
+    } catch (error) {
+        console.error("Failed to share record keys:", error);
+        showMessage("Failed to share record keys", "error");
+    }
+};
+
+// Format a grant's expiry date for display
+function formatGrantExpiry(grant) {
+    return grant.expiresAt && grant.expiresAt[0] 
+        ? new Date(Number(grant.expiresAt[0]) / NANOSECONDS_PER_MILLISECOND).toLocaleDateString()
+        : "Never";
+}
+
+// Get how many days before expiry grants should be flagged
+function getGrantReminderDays() {
+    return Number(localStorage.getItem(GRANT_REMINDER_DAYS_KEY)) || DEFAULT_GRANT_REMINDER_DAYS;
+}
+
+// Get a grant's expiry in milliseconds, or null if it never expires
+function grantExpiryMs(grant) {
+    return grant.expiresAt && grant.expiresAt[0]
+        ? Number(grant.expiresAt[0]) / NANOSECONDS_PER_MILLISECOND
+        : null;
+}
+
+// Check whether an active grant expires within the reminder window
+function isGrantExpiringSoon(grant) {
+    const expiry = grantExpiryMs(grant);
+    return expiry !== null && isGrantActive(grant) &&
+        expiry - Date.now() <= getGrantReminderDays() * MILLISECONDS_PER_DAY;
+}
+
+// Describe how long an expiring grant has left
+function describeTimeLeft(grant) {
+    const days = Math.ceil((grantExpiryMs(grant) - Date.now()) / MILLISECONDS_PER_DAY);
+    return days <= 1 ? "Expires within a day" : `Expires in ${days} days`;
+}
+
+// Show the expiring-soon notification with a one-click renewal for each grant
+function displayGrantReminders(grants) {
+    const expiring = grants.filter(isGrantExpiringSoon)
+        .sort((a, b) => grantExpiryMs(a) - grantExpiryMs(b));
+
+    document.getElementById("grant-expiry-banner").classList.toggle("hidden", expiring.length === 0);
+    document.getElementById("grant-expiry-list").innerHTML = expiring.map(grant => `
+        <div class="grant-expiry-item">
+            <div>
+                <p><strong>${grant.grantedTo.toString()}</strong></p>
+                <p>${describeTimeLeft(grant)} • ${escapeHtml(describeGrantScope(grant))}</p>
+            </div>
+            <button class="btn btn-primary" onclick="extendGrant(${grant.id}, ${GRANT_RENEWAL_DAYS})">
+                Renew ${GRANT_RENEWAL_DAYS} Days
+            </button>
+        </div>
+    `).join("");
+}
+
+// Load the grants that have expired and been moved out of the active list
+async function loadGrantHistory() {
+    try {
+        const result = await actor.getMyGrantHistory(onBehalfOf());
+        if ("ok" in result) {
+            grantHistory = result.ok;
+        }
+    } catch (error) {
+        console.error("Failed to load grant history:", error);
+    }
+}
+
+// Display expired grants, each of which can be granted again on the same terms
+function displayGrantHistory(grants) {
+    document.getElementById("grant-history").classList.toggle("hidden", grants.length === 0);
+    document.getElementById("grant-history-summary").textContent = `Expired grants (${grants.length})`;
+    document.getElementById("grant-history-list").innerHTML = grants.map(grant => `
+        <div class="access-item">
+            <h4>Provider: ${grant.grantedTo.toString()}</h4>
+            <p>Expired: ${formatGrantExpiry(grant)} <span class="request-status request-denied">Expired</span></p>
+            <p>Records: ${escapeHtml(describeGrantScope(grant))}</p>
+            <div class="access-permissions">
+                ${grant.permissions.map(p =>
+                    `<span class="permission-badge">${Object.keys(p)[0]}</span>`
+                ).join("")}
+            </div>
+            <div class="access-actions">
+                <button class="btn btn-secondary" onclick="renewExpiredGrant(${grant.id})">
+                    Renew ${GRANT_RENEWAL_DAYS} Days
+                </button>
+            </div>
+        </div>
+    `).join("");
+}
+
+// Renew an expired grant for the same provider, records and permissions
+window.renewExpiredGrant = async function(grantId) {
+    // Grants the canister hasn't pruned yet can simply be extended
+    if (findAccessGrant(grantId)) {
+        await window.extendGrant(grantId, GRANT_RENEWAL_DAYS);
+        return;
+    }
+
+    const grant = grantHistory.find(g => g.id.toString() === grantId.toString());
+    if (!grant) return;
+
+    try {
+        // Records deleted since the grant expired can't be shared again
+        await ensureAllRecordsLoaded();
+        const recordIds = grant.recordIds.length === 0 ? [] : getGrantRecords(grant).map(r => r.id);
+        if (grant.recordIds.length > 0 && recordIds.length === 0) {
+            showMessage("The records this grant covered have all been deleted", "error");
+            return;
+        }
+
+        const expiresAt = Date.now() + GRANT_RENEWAL_DAYS * MILLISECONDS_PER_DAY;
+        const result = await actor.grantAccess(
+            grant.grantedTo,
+            recordIds,
+            grant.permissions,
+            [BigInt(expiresAt) * BigInt(NANOSECONDS_PER_MILLISECOND)],
+            onBehalfOf()
+        );
+
+        if ("ok" in result) {
+            await completeGrant(result.ok, `Access renewed until ${formatGrantExpiry(result.ok)}`);
+        } else {
+            showMessage("Failed to renew access: " + Object.keys(result.err)[0], "error");
+        }
+    } catch (error) {
+        console.error("Failed to renew access:", error);
+        showMessage("Failed to renew access", "error");
+    }
+};
+
+// Find one of the grants we made by ID
+function findAccessGrant(grantId) {
+    return accessGrants.find(g => g.id.toString() === grantId.toString());
+}
+
+// Open the grant modal to change a grant's records, permissions and expiry
+window.editGrant = function(grantId) {
+    const grant = findAccessGrant(grantId);
+    if (grant) openGrantAccessModal(null, grant);
+};
+
+// Push a grant's expiry back by a number of days, counting from now if it has already expired
+window.extendGrant = async function(grantId, days) {
+    const grant = findAccessGrant(grantId);
+    if (!grant || !days) return;
+
+    const currentExpiry = Number(grant.expiresAt[0]) / NANOSECONDS_PER_MILLISECOND;
+    const expiresAt = Math.max(currentExpiry, Date.now()) + Number(days) * MILLISECONDS_PER_DAY;
+
+    try {
+        const result = await actor.updateGrant(
+            grant.id,
+            grant.recordIds,
+            grant.permissions,
+            [BigInt(Math.round(expiresAt)) * BigInt(NANOSECONDS_PER_MILLISECOND)]
+        );
+
+        if ("ok" in result) {
+            accessGrants = accessGrants.map(g => g.id === grant.id ? result.ok : g);
+            displayAccessGrants(accessGrants);
+            loadAuditLog(0);
+            showMessage(`Access extended until ${formatGrantExpiry(result.ok)}`, "success");
+        } else {
+            displayAccessGrants(accessGrants);
+            showMessage("Failed to extend access: " + Object.keys(result.err)[0], "error");
+        }
+    } catch (error) {
+        console.error("Failed to extend access:", error);
+        showMessage("Failed to extend access", "error");
+    }
+};
+
+// Revoke a single grant (the backend also deletes wrapped keys no other grant covers)
+window.revokeGrant = async function(grantId) {
+    if (!confirm("Are you sure you want to revoke this grant?")) {
+        return;
+    }
+
+    try {
+        const result = await actor.revokeGrant(BigInt(grantId));
+        
+        if ("ok" in result) {
+            accessGrants = accessGrants.filter(g => g.id.toString() !== grantId.toString());
+            displayAccessGrants(accessGrants);
+            loadAuditLog(0);
+            showMessage("Access revoked successfully", "success");
+        } else {
+            showMessage("Failed to revoke access: " + Object.keys(result.err)[0], "error");
+        }
+    } catch (error) {
+        console.error("Failed to revoke access:", error);
+        showMessage("Failed to revoke access", "error");
+    }
+};
+
+// Load the access requests providers have sent us
+async function loadAccessRequests() {
+    try {
+        const result = await actor.getMyAccessRequests(onBehalfOf());
+        if ("ok" in result) {
+            accessRequests = result.ok;
+            displayAccessRequests();
+        }
+    } catch (error) {
+        console.error("Failed to load access requests:", error);
+    }
+}
+
+// Display pending access requests with approve, edit and deny actions
+function displayAccessRequests() {
+    const card = document.getElementById("access-requests-card");
+    const container = document.getElementById("access-requests-list");
+    const pending = accessRequests.filter(r => "Pending" in r.status);
+
+    card.classList.toggle("hidden", pending.length === 0);
+    container.innerHTML = pending.map(request => `
+        <div class="access-item">
+            <h4>Provider: ${request.requester.toString()}</h4>
+            <p>Reason: ${escapeHtml(request.reason)}</p>
+            <p>Records: ${describeRequestedTypes(request)}</p>
+            <p>Duration: ${formatRequestDuration(request)}</p>
+            <p>Requested: ${formatTimestamp(request.createdAt)}</p>
+            <div class="access-permissions">
+                ${request.permissions.map(p => 
+                    `<span class="permission-badge">${Object.keys(p)[0]}</span>`
+                ).join("")}
+            </div>
+            <div class="access-actions">
+                <button class="btn btn-primary" onclick="approveAccessRequest(${request.id})">Approve</button>
+                <button class="btn btn-secondary" onclick="editAccessRequest(${request.id})">Edit</button>
+                <button class="btn btn-danger" onclick="denyAccessRequest(${request.id})">Deny</button>
+            </div>
+        </div>
+    `).join("");
+}
+
+// Describe the record types a request asks for
+function describeRequestedTypes(request) {
+    return request.recordTypes.length === 0
+        ? "All records"
+        : request.recordTypes.map(t => Object.keys(t)[0]).join(", ");
+}
+
+// Format how long a request asks for access
+function formatRequestDuration(request) {
+    if (request.duration.length === 0) return "No expiry";
+    const days = Math.round(Number(request.duration[0]) / NANOSECONDS_PER_MILLISECOND / 86400000);
+    return days === 1 ? "1 day" : `${days} days`;
+}
+
+// Get the IDs of our records matching a request's types, or null for all records
+function requestRecordIds(request) {
+    if (request.recordTypes.length === 0) return null;
+    const types = request.recordTypes.map(t => Object.keys(t)[0]);
+    return userRecords
+        .filter(r => types.includes(Object.keys(r.recordType)[0]))
+        .map(r => r.id);
+}
+
+// Get the expiry of a grant made now for the duration a request asks for
+function requestExpiry(request) {
+    return request.duration.length > 0
+        ? [BigInt(Date.now()) * BigInt(NANOSECONDS_PER_MILLISECOND) + request.duration[0]]
+        : [];
+}
+
+// Format a date for a datetime-local input
+function toDateTimeLocal(date) {
+    const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+    return local.toISOString().slice(0, 16);
+}
+
+// Find one of the access requests sent to us
+function findAccessRequest(requestId) {
+    return accessRequests.find(r => r.id.toString() === requestId.toString());
+}
+
+// Approve an access request on the terms the provider asked for
+window.approveAccessRequest = async function(requestId) {
+    const request = findAccessRequest(requestId);
+    if (!request) return;
+
+    try {
+        await ensureAllRecordsLoaded();
+        const recordIds = requestRecordIds(request);
+
+        // An empty list would share every record, so requests matching nothing need editing
+        if (recordIds !== null && recordIds.length === 0) {
+            showMessage("You have no records of the requested types. Use Edit to choose what to share.", "error");
+            return;
+        }
+
+        const result = await actor.approveAccessRequest(request.id, recordIds || [], request.permissions, requestExpiry(request));
+        if ("ok" in result) {
+            await loadAccessRequests();
+            await completeGrant(result.ok);
+        } else {
+            showMessage("Failed to approve request: " + Object.keys(result.err)[0], "error");
+        }
+    } catch (error) {
+        console.error("Failed to approve access request:", error);
+        showMessage("Failed to approve access request", "error");
+    }
+};
+
+// Approve an access request after changing its records, permissions or expiry
+window.editAccessRequest = async function(requestId) {
+    const request = findAccessRequest(requestId);
+    if (request) {
+        await openGrantAccessModal(request);
+    }
+};
+
+// Deny an access request
+window.denyAccessRequest = async function(requestId) {
+    if (!confirm("Deny this access request?")) {
+        return;
+    }
+
+    try {
+        const result = await actor.denyAccessRequest(BigInt(requestId));
+        if ("ok" in result) {
+            await loadAccessRequests();
+            showMessage("Access request denied", "success");
+        } else {
+            showMessage("Failed to deny request: " + Object.keys(result.err)[0], "error");
+        }
+    } catch (error) {
+        console.error("Failed to deny access request:", error);
+        showMessage("Failed to deny access request", "error");
+    }
+};
+
+// Send an access request to a patient as a provider
+async function requestAccess(e) {
+    e.preventDefault();
+
+    try {
+        const patientDid = document.getElementById("request-patient-did").value.trim();
+        const reason = document.getElementById("request-reason").value.trim();
+        const recordTypes = Array.from(document.querySelectorAll('input[name="request-type"]:checked'))
+            .map(cb => ({ [cb.value]: null }));
+        const permissions = Array.from(document.querySelectorAll('input[name="request-permission"]:checked'))
+            .map(cb => ({ [cb.value]: null }));
+        const days = document.getElementById("request-duration").value;
+        const duration = days
+            ? [BigInt(Math.round(Number(days) * 86400000)) * BigInt(NANOSECONDS_PER_MILLISECOND)]
+            : [];
+
+        if (permissions.length === 0) {
+            showMessage("Select at least one permission", "error");
+            return;
+        }
+
+        const result = await actor.requestAccess(patientDid, recordTypes, permissions, duration, reason);
+        if ("ok" in result) {
+            sentAccessRequests.push(result.ok);
+            displaySentAccessRequests();
+            hideModal("modal-request-access");
+            document.getElementById("request-access-form").reset();
+            showMessage("Access request sent to patient", "success");
+        } else if ("NotFound" in result.err) {
+            showMessage("No patient with that DID", "error");
+        } else if ("AlreadyExists" in result.err) {
+            showMessage("You already have a pending request with this patient", "error");
+        } else {
+            showMessage("Failed to send request: " + Object.keys(result.err)[0], "error");
+        }
+    } catch (error) {
+        console.error("Failed to request access:", error);
+        showMessage("Failed to send access request", "error");
+    }
+}
+
+// Display the access requests we have sent and their status
+function displaySentAccessRequests() {
+    const container = document.getElementById("sent-requests-list");
+
+    if (sentAccessRequests.length === 0) {
+        container.innerHTML = '<p class="empty-state">No access requests sent yet.</p>';
+        return;
+    }
+
+    const sorted = [...sentAccessRequests].sort((a, b) => Number(b.createdAt - a.createdAt));
+    container.innerHTML = sorted.map(request => {
+        const status = Object.keys(request.status)[0];
+        return `
+            <div class="access-item">
+                <h4>Patient: ${request.patientDid}</h4>
+                <p>Reason: ${escapeHtml(request.reason)}</p>
+                <p>Records: ${describeRequestedTypes(request)} • Duration: ${formatRequestDuration(request)}</p>
+                <p>Requested: ${formatTimestamp(request.createdAt)}${request.respondedAt.length > 0
+                    ? ` • ${status}: ${formatTimestamp(request.respondedAt[0])}`
+                    : ""}</p>
+                <div class="access-permissions">
+                    <span class="request-status request-${status.toLowerCase()}">${status}</span>
+                    ${request.permissions.map(p => 
+                        `<span class="permission-badge">${Object.keys(p)[0]}</span>`
+                    ).join("")}
+                </div>
+            </div>
+        `;
+    }).join("");
+}
+
+// Load the patients we are a caregiver for
+async function loadDependents() {
+    try {
+        const result = await actor.getMyDependents();
+        dependents = "ok" in result ? result.ok : [];
+    } catch (error) {
+        console.error("Failed to load dependents:", error);
+    }
+    displayProfileSwitcher();
+    displayActingBanner();
+}
+
+// The dependent whose records we are managing, if any
+function currentDependent() {
+    return dependents.find(d => d.patientDid === actingFor) || null;
+}
+
+// Fill the profile switcher with our own profile and the patients we care for
+function displayProfileSwitcher() {
+    const switcher = document.getElementById("profile-switcher");
+    switcher.innerHTML = '<option value="">My Records</option>' +
+        dependents.map(d =>
+            `<option value="${escapeHtml(d.patientDid)}">${escapeHtml(d.name[0] || d.patientDid)} (${escapeHtml(d.relationship)})</option>`
+        ).join("");
+    switcher.value = actingFor || "";
+    switcher.classList.toggle("hidden", dependents.length === 0);
+}
+
+// Show whose records are on the dashboard and hide cards that only make sense for our own
+function displayActingBanner() {
+    const dependent = currentDependent();
+    document.getElementById("section-dashboard").classList.toggle("acting-for", actingFor !== null);
+    document.getElementById("acting-banner").classList.toggle("hidden", actingFor === null);
+    if (actingFor) {
+        document.getElementById("btn-create-did").classList.add("hidden");
+        document.getElementById("acting-banner-text").textContent = dependent
+            ? `You are managing ${dependent.name[0] || dependent.patientDid}'s records as their ${dependent.relationship}. ` +
+                `You can view records${dependent.rights.map(r => ", " + CAREGIVER_RIGHT_LABELS[Object.keys(r)[0]].toLowerCase()).join("")}.`
+            : `You are managing the records of ${actingFor}.`;
+    }
+}
+
+// Switch between our own records and those of a patient we are a caregiver for
+async function switchProfile(patientDid) {
+    actingFor = patientDid || null;
+
+    // Everything on the dashboard belonged to the patient we switched from
+    userProfile = null;
+    userRecords = [];
+    accessGrants = [];
+    grantHistory = [];
+    accessRequests = [];
+    caregivers = [];
+    didResolution = null;
+    recordContents = new Map();
+    trendSeries = [];
+    recordsCursor = null;
+    recordsComplete = false;
+    recordsSyncedAt = null;
+    contentIndex = new Map();
+    contentIndexReady = false;
+    emergencyProfile = null;
+    document.getElementById("profile-form").reset();
+    document.getElementById("records-search-content").checked = false;
+    document.getElementById("audit-filter-provider").innerHTML = '<option value="">All Providers</option>';
+    document.getElementById("audit-filter-record").innerHTML = '<option value="">All Records</option>';
+
+    if (appMode !== "patient") {
+        await setMode("patient");
+    }
+    await loadUserData();
+}
+
+const CAREGIVER_RIGHT_LABELS = {
+    ManageRecords: "Manage records",
+    ManageSharing: "Manage sharing",
+    ManageProfile: "Edit profile"
+};
+
+// Load the caregivers of the patient whose records are shown
+async function loadCaregivers() {
+    try {
+        const result = await actor.getCaregivers(onBehalfOf());
+        caregivers = "ok" in result ? result.ok : [];
+    } catch (error) {
+        console.error("Failed to load caregivers:", error);
+    }
+    displayCaregivers();
+}
+
+// Patients manage their own caregivers; a dependent's caregivers are managed by their guardians
+function canManageCaregivers() {
+    const dependent = currentDependent();
+    return !actingFor || (dependent !== null && dependent.isGuardian);
+}
+
+// Display caregivers with their rights
+function displayCaregivers() {
+    const container = document.getElementById("caregivers-list");
+    const canManage = canManageCaregivers();
+    document.getElementById("btn-add-caregiver").classList.toggle("hidden", !canManage);
+    document.getElementById("btn-add-dependent").classList.toggle("hidden", actingFor !== null);
+
+    if (caregivers.length === 0) {
+        container.innerHTML = '<p class="empty-state">No caregivers yet. Add a family member or guardian to help manage these records.</p>';
+        return;
+    }
+
+    container.innerHTML = caregivers.map(caregiver => {
+        const principalText = caregiver.caregiver.toString();
+        const isSelf = principalText === userPrincipal.toString();
+        return `
+            <div class="access-item">
+                <h4>${escapeHtml(caregiver.relationship)}${caregiver.isGuardian ? " (guardian)" : ""}${isSelf ? " — you" : ""}</h4>
+                <p>Principal: ${principalText}</p>
+                <p>Added: ${formatTimestamp(caregiver.createdAt)}</p>
+                <div class="access-permissions">
+                    <span class="permission-badge">View</span>
+                    ${caregiver.rights.map(r =>
+                        `<span class="permission-badge">${CAREGIVER_RIGHT_LABELS[Object.keys(r)[0]]}</span>`
+                    ).join("")}
+                </div>
+                <div class="access-actions">
+                    ${isSelf ? "" : `<button class="btn btn-secondary" onclick="shareCaregiverKeys('${principalText}')">Share Keys</button>`}
+                    ${canManage || isSelf
+                        ? `<button class="btn btn-danger" onclick="removeCaregiver('${principalText}')">${isSelf ? "Stop Managing" : "Remove"}</button>`
+                        : ""}
+                </div>
+            </div>
+        `;
+    }).join("");
+}
+
+// Open the add caregiver modal with its default rights
+function openCaregiverModal() {
+    document.getElementById("caregiver-form").reset();
+    showModal("modal-add-caregiver");
+}
+
+// Designate a caregiver and wrap every record key for them
+async function addCaregiver(e) {
+    e.preventDefault();
+
+    try {
+        const principal = Principal.fromText(document.getElementById("caregiver-principal").value.trim());
+        const relationship = document.getElementById("caregiver-relationship").value.trim();
+        const rights = Array.from(document.querySelectorAll('input[name="caregiver-right"]:checked'))
+            .map(cb => ({ [cb.value]: null }));
+        const isGuardian = document.getElementById("caregiver-guardian").checked;
+
+        const result = await actor.addCaregiver(principal, relationship, rights, isGuardian, onBehalfOf());
+        if (!("ok" in result)) {
+            showMessage("Failed to add caregiver: " + Object.keys(result.err)[0], "error");
+            return;
+        }
+
+        hideModal("modal-add-caregiver");
+        caregivers = caregivers.filter(c => c.caregiver.toString() !== principal.toString()).concat([result.ok]);
+        displayCaregivers();
+        loadAuditLog(0);
+
+        // Caregivers can only decrypt records whose keys we wrap for them
+        await ensureAllRecordsLoaded();
+        if (await shareRecordKeys(principal, userRecords)) {
+            showMessage("Caregiver added and record keys shared", "success");
+        } else {
+            showMessage("Caregiver added, but they have not published an encryption key yet. Use \"Share Keys\" once they have logged in to Serum.", "info");
+        }
+    } catch (error) {
+        console.error("Failed to add caregiver:", error);
+        showMessage("Failed to add caregiver. Check the principal ID.", "error");
+    }
+}
+
+// Share every record key with a caregiver again, e.g. once they have logged in
+window.shareCaregiverKeys = async function(principalText) {
+    try {
+        await ensureAllRecordsLoaded();
+        if (await shareRecordKeys(Principal.fromText(principalText), userRecords)) {
+            showMessage("Record keys shared with caregiver", "success");
+        } else {
+            showMessage("The caregiver has not published an encryption key yet", "error");
+        }
+    } catch (error) {
+        console.error("Failed to share record keys:", error);
+        showMessage("Failed to share record keys", "error");
+    }
+};
+
+// Remove a caregiver, or stop managing a patient's records ourselves
+window.removeCaregiver = async function(principalText) {
+    const isSelf = principalText === userPrincipal.toString();
+    const question = isSelf
+        ? "Are you sure you want to stop managing these records?"
+        : "Are you sure you want to remove this caregiver? Their copies of the record keys are deleted.";
+    if (!confirm(question)) {
+        return;
+    }
+
+    try {
+        const result = await actor.removeCaregiver(Principal.fromText(principalText), onBehalfOf());
+        if (!("ok" in result)) {
+            // A dependent without their own login always keeps a guardian
+            const message = "InvalidInput" in result.err
+                ? "Add another guardian before removing the last one"
+                : "Failed to remove caregiver: " + Object.keys(result.err)[0];
+            showMessage(message, "error");
+            return;
+        }
+
+        if (isSelf) {
+            await switchProfile(null);
+        } else {
+            caregivers = caregivers.filter(c => c.caregiver.toString() !== principalText);
+            displayCaregivers();
+            loadAuditLog(0);
+        }
+        showMessage("Caregiver removed", "success");
+    } catch (error) {
+        console.error("Failed to remove caregiver:", error);
+        showMessage("Failed to remove caregiver", "error");
+    }
+};
+
+// Create a profile for a dependent without their own login and switch to it
+async function addDependent(e) {
+    e.preventDefault();
+
+    const name = document.getElementById("dependent-name").value;
+    const dob = document.getElementById("dependent-dob").value;
+    const bloodType = document.getElementById("dependent-blood").value;
+    const allergiesText = document.getElementById("dependent-allergies").value;
+    const allergies = allergiesText ? allergiesText.split(",").map(a => a.trim()) : [];
+    const relationship = document.getElementById("dependent-relationship").value.trim();
+
+    try {
+        const result = await actor.createDependent(name, dob, bloodType ? [bloodType] : [], allergies, relationship);
+        if ("ok" in result) {
+            hideModal("modal-add-dependent");
+            document.getElementById("dependent-form").reset();
+            await switchProfile(result.ok.did.identifier);
+            showMessage(`Profile created for ${name}. You are now managing their records.`, "success");
+        } else {
+            showMessage("Failed to add dependent: " + Object.keys(result.err)[0], "error");
+        }
+    } catch (error) {
+        console.error("Failed to add dependent:", error);
+        showMessage("Failed to add dependent", "error");
+    }
+}
+
+// Load the emergency profile of the patient shown
+async function loadEmergencyProfile() {
+    try {
+        const result = await actor.getMyEmergencyProfile(onBehalfOf());
+        emergencyProfile = "ok" in result ? result.ok : null;
+        displayEmergencyProfile();
+    } catch (error) {
+        console.error("Failed to load emergency profile:", error);
+    }
+}
+
+// How emergency profile fields are described to the patient
+const EMERGENCY_FIELD_LABELS = {
+    Name: "name",
+    DateOfBirth: "date of birth",
+    BloodType: "blood type",
+    Allergies: "allergies",
+};
+
+// Show whether the emergency profile is enabled and what it exposes
+function displayEmergencyProfile() {
+    const status = document.getElementById("emergency-status");
+
+    if (!emergencyProfile || !emergencyProfile.enabled) {
+        status.textContent = "Off. Emergency providers cannot see any of your information without a grant.";
+        return;
+    }
+
+    const fields = emergencyProfile.fields.map(f => EMERGENCY_FIELD_LABELS[Object.keys(f)[0]]);
+    const records = emergencyProfile.records.map(r => r.title);
+    status.textContent = `On. Emergency providers can see ${[...fields, ...records].join(", ") || "nothing yet"}. ` +
+        `Last updated ${formatTimestamp(emergencyProfile.updatedAt)}.`;
+}
+
+// Open the emergency profile editor with the current choices
+async function openEmergencyProfileModal() {
+    await ensureAllRecordsLoaded();
+    const chosenIds = emergencyProfile ? emergencyProfile.records.map(r => r.recordId.toString()) : [];
+    const chosenFields = emergencyProfile ? emergencyProfile.fields.map(f => Object.keys(f)[0]) : [];
+
+    document.getElementById("emergency-enabled").checked = Boolean(emergencyProfile && emergencyProfile.enabled);
+    document.querySelectorAll('input[name="emergency-field"]').forEach(cb => {
+        cb.checked = emergencyProfile ? chosenFields.includes(cb.value) : cb.value !== "Name";
+    });
+    document.getElementById("emergency-records-list").innerHTML = userRecords.length === 0
+        ? '<p class="empty-state">No records yet.</p>'
+        : userRecords.map(record => `
+            <label class="record-checkbox" data-id="${record.id}">
+                <input type="checkbox" name="emergency-record" value="${record.id}" ${chosenIds.includes(record.id.toString()) ? "checked" : ""}>
+                <span>${escapeHtml(record.metadata.title)}</span>
+                <span class="record-tag record-type">${Object.keys(record.recordType)[0]}</span>
+            </label>
+        `).join("");
+
+    showModal("modal-emergency-profile");
+}
+
+// Decrypt one of our records
+async function decryptRecordData(record) {
+    const keyData = await getRecordKeyData(record.id);
+    if (!keyData) {
+        throw new Error(`No key for record ${record.id}`);
+    }
+    const key = await crypto.importKey(keyData);
+    return crypto.decrypt(await getRecordCiphertext(record), key);
+}
+
+// Check whether a prescription has no stop date or one after today; a medication stopped today is no longer taken
+function isActivePrescription(content) {
+    if (!content.fields || content.schema !== "Prescription") return false;
+    const stopDate = content.fields.stopDate;
+    return !stopDate || stopDate > localDateString();
+}
+
+// Tick every prescription that is still being taken
+async function selectActivePrescriptions() {
+    const prescriptions = userRecords.filter(r => "Prescription" in r.recordType);
+    let selected = 0;
+
+    for (const record of prescriptions) {
+        try {
+            if (isActivePrescription(parseRecordContent(await decryptRecordData(record)))) {
+                document.querySelector(`input[name="emergency-record"][value="${record.id}"]`).checked = true;
+                selected++;
+            }
+        } catch (error) {
+            console.error("Failed to check prescription:", error);
+        }
+    }
+    showMessage(selected === 0 ? "No active prescriptions found" : `Selected ${selected} active prescription(s)`, "info");
+}
+
+// Save the emergency profile, copying the decrypted content of the chosen records into it
+async function saveEmergencyProfile(e) {
+    e.preventDefault();
+
+    try {
+        const enabled = document.getElementById("emergency-enabled").checked;
+        const fields = Array.from(document.querySelectorAll('input[name="emergency-field"]:checked'))
+            .map(cb => ({ [cb.value]: null }));
+        const recordIds = Array.from(document.querySelectorAll('input[name="emergency-record"]:checked'))
+            .map(cb => cb.value);
+
+        // The copies are readable without the record keys, which is what makes them usable in an emergency
+        const recordContents = [];
+        for (const recordId of recordIds) {
+            const record = findRecord(recordId);
+            recordContents.push([record.id, await decryptRecordData(record)]);
+        }
+
+        await storeEmergencyProfile(enabled, fields, recordContents);
+        hideModal("modal-emergency-profile");
+        showMessage(enabled ? "Emergency profile saved" : "Emergency profile turned off", "success");
+    } catch (error) {
+        console.error("Failed to save emergency profile:", error);
+        showMessage("Failed to save emergency profile", "error");
+    }
+}
+
+// Store the emergency profile in the backend and show it
+async function storeEmergencyProfile(enabled, fields, recordContents) {
+    const result = await actor.setEmergencyProfile(enabled, fields, recordContents, onBehalfOf());
+    if (!("ok" in result)) {
+        throw new Error("Failed to store emergency profile: " + Object.keys(result.err)[0]);
+    }
+    emergencyProfile = result.ok;
+    displayEmergencyProfile();
+}
+
+// Update the emergency copy of a record after it has been edited
+async function refreshEmergencyRecord(recordId, data) {
+    if (!emergencyProfile || !emergencyProfile.records.some(r => r.recordId === recordId)) {
+        return;
+    }
+
+    try {
+        const recordContents = emergencyProfile.records.map(r =>
+            [r.recordId, r.recordId === recordId ? data : r.content]
+        );
+        await storeEmergencyProfile(emergencyProfile.enabled, emergencyProfile.fields, recordContents);
+    } catch (error) {
+        console.error("Failed to refresh emergency profile:", error);
+        showMessage("Record saved, but its copy in your emergency profile is out of date. Save the emergency profile again.", "error");
+    }
+}
+
+// Load break-glass reads of our emergency profile
+async function loadBreakGlassEvents() {
+    try {
+        const result = await actor.getMyBreakGlassEvents();
+        if ("ok" in result) {
+            breakGlassEvents = result.ok;
+            displayBreakGlassEvents();
+        }
+    } catch (error) {
+        console.error("Failed to load emergency access events:", error);
+    }
+}
+
+// Show unseen break-glass reads in a banner, and every read in the emergency card
+function displayBreakGlassEvents() {
+    const unseen = breakGlassEvents.filter(e => !e.acknowledged);
+    document.getElementById("breakglass-banner").classList.toggle("hidden", unseen.length === 0);
+    document.getElementById("breakglass-banner-list").innerHTML = unseen.map(renderBreakGlassEvent).join("");
+
+    document.getElementById("emergency-events").innerHTML = breakGlassEvents.length === 0
+        ? '<p class="empty-state">Your emergency profile has never been accessed.</p>'
+        : breakGlassEvents.map(renderBreakGlassEvent).join("");
+}
+
+// Render one break-glass read with its dispute, or a button to dispute it
+function renderBreakGlassEvent(event) {
+    return `
+        <div class="breakglass-event">
+            <div>
+                <p><strong>${escapeHtml(event.providerName)}</strong> • ${formatTimestamp(event.accessedAt)}</p>
+                <p class="audit-provider">${event.provider.toString()}</p>
+                <p>Reason: ${escapeHtml(event.reason)}</p>
+                ${event.dispute.length > 0
+                    ? `<p class="breakglass-disputed">Disputed ${formatTimestamp(event.disputedAt[0])}: ${escapeHtml(event.dispute[0])}</p>`
+                    : ""}
+            </div>
+            ${event.dispute.length === 0
+                ? `<button class="btn btn-danger" onclick="disputeBreakGlassEvent(${event.id})">Dispute</button>`
+                : ""}
+        </div>
+    `;
+}
+
+// Mark every break-glass read as seen
+async function acknowledgeBreakGlassEvents() {
+    try {
+        const result = await actor.acknowledgeBreakGlassEvents();
+        if ("ok" in result) {
+            breakGlassEvents = breakGlassEvents.map(e => ({ ...e, acknowledged: true }));
+            displayBreakGlassEvents();
+        }
+    } catch (error) {
+        console.error("Failed to acknowledge emergency access:", error);
+        showMessage("Failed to update emergency access notifications", "error");
+    }
+}
+
+// Dispute a break-glass read we don't recognise
+window.disputeBreakGlassEvent = async function(eventId) {
+    const note = prompt("Why are you disputing this emergency access?");
+    if (!note || !note.trim()) {
+        return;
+    }
+
+    try {
+        const result = await actor.disputeBreakGlassEvent(BigInt(eventId), note.trim());
+        if ("ok" in result) {
+            breakGlassEvents = breakGlassEvents.map(e => e.id === result.ok.id ? result.ok : e);
+            displayBreakGlassEvents();
+            showMessage("Dispute recorded", "success");
+        } else {
+            showMessage("Failed to dispute access: " + Object.keys(result.err)[0], "error");
+        }
+    } catch (error) {
+        console.error("Failed to dispute emergency access:", error);
+        showMessage("Failed to dispute emergency access", "error");
+    }
+};
+
+// Read a patient's emergency profile as a verified emergency provider
+async function breakGlass(e) {
+    e.preventDefault();
+
+    const patientDid = document.getElementById("emergency-patient-did").value.trim();
+    const reason = document.getElementById("emergency-reason").value.trim();
+    if (!confirm("Emergency access is logged and reported to the patient. Continue?")) {
+        return;
+    }
+
+    try {
+        const result = await actor.breakGlass(patientDid, reason);
+        if ("ok" in result) {
+            displayEmergencyAccess(result.ok);
+            document.getElementById("emergency-access-form").reset();
+        } else if ("NotFound" in result.err) {
+            showMessage("No emergency profile available for this patient", "error");
+        } else {
+            showMessage("Emergency access failed: " + Object.keys(result.err)[0], "error");
+        }
+    } catch (error) {
+        console.error("Emergency access failed:", error);
+        showMessage("Emergency access failed", "error");
+    }
+}
+
+// Show the emergency information returned by a break-glass read
+function displayEmergencyAccess(access) {
+    const container = document.getElementById("emergency-access-result");
+    const profileRows = [
+        ["Name", access.name[0]],
+        ["Date of Birth", access.dateOfBirth[0]],
+        ["Blood Type", access.bloodType[0]],
+        ["Allergies", access.allergies.length > 0 ? (access.allergies[0].join(", ") || "None recorded") : undefined],
+    ].filter(([, value]) => value !== undefined);
+
+    container.innerHTML = `
+        <div class="patient-item">
+            <h4>${escapeHtml(access.patientDid)}</h4>
+            <p class="form-help">Shared by the patient for emergencies, last updated ${formatTimestamp(access.updatedAt)}</p>
+            <dl class="record-fields">
+                ${profileRows.map(([label, value]) => `<dt>${label}</dt><dd>${escapeHtml(value)}</dd>`).join("")}
+            </dl>
+            <div class="records-list"></div>
+        </div>
+    `;
+
+    const list = container.querySelector(".records-list");
+    if (access.records.length === 0) {
+        list.innerHTML = '<p class="empty-state">No records in this emergency profile.</p>';
+    }
+    for (const record of access.records) {
+        const item = document.createElement("div");
+        item.className = "emergency-record";
+        const heading = document.createElement("h4");
+        heading.textContent = `${record.title} • ${record.dateOfService}`;
+
+        const content = parseRecordContent(record.content);
+        let body;
+        if (content.fields) {
+            body = document.createElement("dl");
+            body.className = "record-fields";
+            renderStructuredRecord(body, content);
+        } else {
+            body = document.createElement("pre");
+            body.className = "field-text";
+            body.textContent = content.text;
+        }
+        item.append(heading, body);
+        list.append(item);
+    }
+    container.classList.remove("hidden");
+}
+
+// Load the key vault and show backup status and missing-key warnings
+async function loadKeyVaultStatus() {
+    try {
+        const result = await actor.getMyKeyVault();
+        keyVault = "ok" in result ? result.ok : null;
+        await displayKeyVaultStatus();
+    } catch (error) {
+        console.error("Failed to load key backup status:", error);
+    }
+}
+
+// Show whether keys are backed up and warn about records this device cannot decrypt
+async function displayKeyVaultStatus() {
+    const status = document.getElementById("key-vault-status");
+    const keysChangedAt = Number(localStorage.getItem(KEYS_CHANGED_AT) || 0);
+
+    if (!keyVault) {
+        status.textContent = "Your record keys are not backed up. If you lose this browser's data, your records cannot be decrypted.";
+        status.className = "vault-status vault-status-warning";
+    } else {
+        const backedUpAt = Number(keyVault.updatedAt) / NANOSECONDS_PER_MILLISECOND;
+        const isStale = keysChangedAt > backedUpAt;
+        status.textContent = `Last backup: ${new Date(backedUpAt).toLocaleString()}` +
+            (isStale ? " — new keys have been created since, back up again." : "");
+        status.className = isStale ? "vault-status vault-status-warning" : "vault-status";
+    }
+    document.getElementById("btn-restore-keys").disabled = !keyVault;
+
+    let missing = 0;
+    for (const record of userRecords) {
+        if (!await getRecordKeyData(record.id)) missing++;
+    }
+
+    const warning = document.getElementById("keys-warning");
+    warning.classList.toggle("hidden", missing === 0);
+    document.getElementById("keys-warning-text").textContent = keyVault
+        ? `${missing} of your records cannot be decrypted on this device. Restore your keys from your encrypted backup.`
+        : `${missing} of your records cannot be decrypted on this device and no key backup exists.`;
+    document.getElementById("btn-warning-restore").classList.toggle("hidden", !keyVault);
+}
+
+// Open the passphrase modal for backing up or restoring keys
+function openKeyVaultModal(mode) {
+    const form = document.getElementById("key-vault-form");
+    form.reset();
+    form.dataset.mode = mode;
+
+    const isBackup = mode === "backup";
+    document.getElementById("key-vault-title").textContent = isBackup ? "Back Up Encryption Keys" : "Restore Encryption Keys";
+    document.getElementById("key-vault-help").textContent = isBackup
+        ? "Your keys are encrypted with this passphrase before they leave your browser. Without it, the backup cannot be restored."
+        : "Enter the passphrase you used when backing up your keys.";
+    document.getElementById("key-vault-confirm-group").classList.toggle("hidden", !isBackup);
+    document.getElementById("key-vault-confirm").required = isBackup;
+    document.getElementById("key-vault-submit").textContent = isBackup ? "Back Up Keys" : "Restore Keys";
+
+    showModal("modal-key-vault");
+}
+
+// Handle the passphrase form
+async function submitKeyVaultForm(e) {
+    e.preventDefault();
+
+    const passphrase = document.getElementById("key-vault-passphrase").value;
+    if (e.target.dataset.mode === "backup") {
+        if (passphrase !== document.getElementById("key-vault-confirm").value) {
+            showMessage("Passphrases do not match", "error");
+            return;
+        }
+        await backupKeys(passphrase);
+    } else {
+        await restoreKeys(passphrase);
+    }
+}
+
+// Encrypt the whole key store under a passphrase-derived key and store it in the backend
+async function backupKeys(passphrase) {
+    try {
+        const keyPair = encryptionKeyPair
+            ? {
+                publicKey: toBase64(await crypto.exportPublicKey(encryptionKeyPair.publicKey)),
+                privateKey: toBase64(new Uint8Array(
+                    await window.crypto.subtle.exportKey("pkcs8", encryptionKeyPair.privateKey)
+                ))
+            }
+            : null;
+
+        const contents = JSON.stringify({
+            version: 1,
+            keys: await crypto.getAllKeyEntries(),
+            encryptionKeyPair: keyPair,
+            createdAt: Date.now()
+        });
+
+        const salt = window.crypto.getRandomValues(new Uint8Array(16));
+        const vaultKey = await crypto.deriveVaultKey(passphrase, salt, VAULT_PBKDF2_ITERATIONS);
+        const ciphertext = await crypto.encrypt(contents, vaultKey);
+
+        const result = await actor.storeKeyVault(Array.from(ciphertext), Array.from(salt), VAULT_PBKDF2_ITERATIONS);
+        if ("ok" in result) {
+            keyVault = result.ok;
+            await displayKeyVaultStatus();
+            hideModal("modal-key-vault");
+            showMessage("Encryption keys backed up successfully!", "success");
+        } else {
+            showMessage("Failed to back up keys: " + Object.keys(result.err)[0], "error");
+        }
+    } catch (error) {
+        console.error("Failed to back up keys:", error);
+        showMessage("Failed to back up keys", "error");
+    }
+}
+
+// Decrypt the key vault with a passphrase and restore its keys into this browser
+async function restoreKeys(passphrase) {
+    if (!keyVault) {
+        showMessage("No key backup found", "error");
+        return;
+    }
+
+    let contents;
+    try {
+        const vaultKey = await crypto.deriveVaultKey(
+            passphrase,
+            new Uint8Array(keyVault.salt),
+            Number(keyVault.iterations)
+        );
+        contents = JSON.parse(await crypto.decrypt(new Uint8Array(keyVault.ciphertext), vaultKey));
+    } catch (error) {
+        showMessage("Wrong passphrase or corrupted backup", "error");
+        return;
+    }
+
+    try {
+        await crypto.mergeKeyEntries(contents.keys);
+
+        // Restore the key pair so keys previously shared with us can be unwrapped again
+        if (contents.encryptionKeyPair) {
+            const publicKey = await crypto.importPublicKey(fromBase64(contents.encryptionKeyPair.publicKey));
+            const privateKey = await window.crypto.subtle.importKey(
+                "pkcs8",
+                fromBase64(contents.encryptionKeyPair.privateKey),
+                { name: "RSA-OAEP", hash: "SHA-256" },
+                true,
+                ["decrypt"]
+            );
+            await crypto.storeKeyPair({ publicKey, privateKey });
+            await ensureEncryptionKeyPair();
+            await loadSharedKeys();
+        }
+
+        await displayKeyVaultStatus();
+        hideModal("modal-key-vault");
+        showMessage(`Restored ${contents.keys.length} record keys`, "success");
+    } catch (error) {
+        console.error("Failed to restore keys:", error);
+        showMessage("Failed to restore keys", "error");
+    }
+}
+
+// Open the archive modal for exporting everything or importing an archive
+function openArchiveModal(mode) {
+    if (!userDID) {
+        showMessage("Create your DID first", "error");
+        return;
+    }
+
+    const form = document.getElementById("archive-form");
+    form.reset();
+    form.dataset.mode = mode;
+
+    const isExport = mode === "export";
+    document.getElementById("archive-title").textContent = isExport ? "Export Everything" : "Import Archive";
+    document.getElementById("archive-help").textContent = isExport
+        ? "Your profile, records, attachments, grants and record keys are bundled into one file encrypted with this passphrase. Keep both safe: anyone with the file and passphrase can read your records."
+        : "Restore an archive into this account. Records get new IDs here; records already in this account are skipped.";
+    document.getElementById("archive-file-group").classList.toggle("hidden", isExport);
+    document.getElementById("archive-file").required = !isExport;
+    document.getElementById("archive-confirm-group").classList.toggle("hidden", !isExport);
+    document.getElementById("archive-confirm").required = isExport;
+    document.getElementById("archive-grants-group").classList.toggle("hidden", isExport);
+    document.getElementById("archive-submit").textContent = isExport ? "Export" : "Import";
+
+    showModal("modal-archive");
+}
+
+// Handle the archive form
+async function submitArchiveForm(e) {
+    e.preventDefault();
+
+    const passphrase = document.getElementById("archive-passphrase").value;
+    const submit = document.getElementById("archive-submit");
+    submit.disabled = true;
+    try {
+        if (e.target.dataset.mode === "export") {
+            if (passphrase !== document.getElementById("archive-confirm").value) {
+                showMessage("Passphrases do not match", "error");
+                return;
+            }
+            await exportArchive(passphrase);
+        } else {
+            await importArchive(
+                document.getElementById("archive-file").files[0],
+                passphrase,
+                document.getElementById("archive-restore-grants").checked
+            );
+        }
+    } finally {
+        submit.disabled = false;
+    }
+}
+
+// Bundle the profile, every record with its attachments and keys, and our grants into a passphrase-encrypted file
+async function exportArchive(passphrase) {
+    try {
+        await ensureAllRecordsLoaded();
+        const keyEntries = new Map((await crypto.getAllKeyEntries()).map(entry => [entry.recordId, entry]));
+
+        const records = [];
+        let missingKeys = 0;
+        for (const record of userRecords) {
+            showMessage(`Packing record ${records.length + 1} of ${userRecords.length}...`, "info");
+
+            // Records stay encrypted under their own keys inside the archive
+            const keys = keyEntries.get(record.id.toString());
+            if (!keys) missingKeys++;
+            records.push({
+                id: record.id.toString(),
+                recordType: Object.keys(record.recordType)[0],
+                encryptedData: toBase64(await getRecordCiphertext(record)),
+                encryptionKeyHash: record.encryptionKeyHash,
+                metadata: {
+                    title: record.metadata.title,
+                    provider: record.metadata.provider,
+                    facility: record.metadata.facility[0] ?? null,
+                    dateOfService: record.metadata.dateOfService,
+                    tags: record.metadata.tags
+                },
+                keys: keys
+                    ? {
+                        keyData: toBase64(Uint8Array.from(keys.keyData)),
+                        previousKeys: (keys.previousKeys || []).map(k => toBase64(Uint8Array.from(k)))
+                    }
+                    : null,
+                attachments: await exportAttachments(record)
+            });
+        }
+
+        const contents = JSON.stringify({
+            version: ARCHIVE_VERSION,
+            exportedAt: new Date().toISOString(),
+            did: userDID.identifier,
+            profile: userProfile
+                ? {
+                    name: userProfile.name,
+                    dateOfBirth: userProfile.dateOfBirth,
+                    bloodType: userProfile.bloodType[0] ?? null,
+                    allergies: userProfile.allergies
+                }
+                : null,
+            records,
+            grants: accessGrants.filter(isGrantActive).map(grant => ({
+                grantedTo: grant.grantedTo.toString(),
+                recordIds: grant.recordIds.map(id => id.toString()),
+                permissions: grant.permissions.map(p => Object.keys(p)[0]),
+                expiresAt: grant.expiresAt.length > 0 ? grant.expiresAt[0].toString() : null
+            }))
+        });
+
+        const salt = window.crypto.getRandomValues(new Uint8Array(16));
+        const archiveKey = await crypto.deriveVaultKey(passphrase, salt, VAULT_PBKDF2_ITERATIONS);
+        const archive = {
+            format: ARCHIVE_FORMAT,
+            version: ARCHIVE_VERSION,
+            iterations: VAULT_PBKDF2_ITERATIONS,
+            salt: toBase64(salt),
+            ciphertext: toBase64(await crypto.encrypt(contents, archiveKey))
+        };
+
+        const blob = new Blob([JSON.stringify(archive)], { type: "application/json" });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = `serum-archive-${new Date().toISOString().slice(0, 10)}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+
+        hideModal("modal-archive");
+        showMessage(missingKeys > 0
+            ? `Exported ${records.length} records; ${missingKeys} have no key on this device and can't be decrypted from the archive`
+            : `Exported ${records.length} records`, missingKeys > 0 ? "info" : "success");
+    } catch (error) {
+        console.error("Failed to export archive:", error);
+        showMessage("Failed to export archive: " + error.message, "error");
+    }
+}
+
+// Download a record's attachments as their encrypted chunks
+async function exportAttachments(record) {
+    const result = await actor.getAttachments(record.id);
+    if (!("ok" in result)) {
+        throw new Error("Failed to load attachments: " + Object.keys(result.err)[0]);
+    }
+
+    const attachments = [];
+    for (const attachment of result.ok) {
+        const chunks = [];
+        for (let index = 0; index < Number(attachment.chunkCount); index++) {
+            const chunk = await actor.getAttachmentChunk(attachment.id, index);
+            if (!("ok" in chunk)) {
+                throw new Error("Failed to download attachment: " + Object.keys(chunk.err)[0]);
+            }
+            chunks.push(toBase64(new Uint8Array(chunk.ok)));
+        }
+        attachments.push({
+            encryptedHeader: toBase64(new Uint8Array(attachment.encryptedHeader)),
+            encryptionKeyHash: attachment.encryptionKeyHash,
+            chunks
+        });
+    }
+    return attachments;
+}
+
+// Decrypt an archive file and restore it into this account under new record IDs
+async function importArchive(file, passphrase, restoreGrants) {
+    let contents;
+    try {
+        const archive = JSON.parse(await file.text());
+        if (archive.format !== ARCHIVE_FORMAT || archive.version > ARCHIVE_VERSION) {
+            showMessage("This file is not a Serum archive", "error");
+            return;
+        }
+        const archiveKey = await crypto.deriveVaultKey(passphrase, fromBase64(archive.salt), archive.iterations);
+        contents = JSON.parse(await crypto.decrypt(fromBase64(archive.ciphertext), archiveKey));
+    } catch (error) {
+        showMessage("Wrong passphrase or corrupted archive", "error");
+        return;
+    }
+
+    if (!confirm(`Restore ${contents.records.length} records${contents.profile ? " and a profile" : ""} exported on ${new Date(contents.exportedAt).toLocaleString()}?`)) {
+        return;
+    }
+
+    // Archive record ID -> record ID in this account
+    const recordIds = new Map();
+    let restored = 0;
+
+    try {
+        await ensureAllRecordsLoaded();
+
+        // An empty profile is filled from the archive; an existing one is kept
+        if (contents.profile && !userProfile) {
+            const { name, dateOfBirth, bloodType, allergies } = contents.profile;
+            const result = await actor.createOrUpdateProfile(name, dateOfBirth, bloodType ? [bloodType] : [], allergies, []);
+            if ("ok" in result) {
+                userProfile = result.ok;
+                displayProfile(userProfile);
+            }
+        }
+
+        for (const entry of contents.records) {
+            // Every record has its own key, so a matching key hash means it was already restored
+            const existing = userRecords.find(r => r.encryptionKeyHash === entry.encryptionKeyHash);
+            if (existing) {
+                recordIds.set(entry.id, existing.id);
+                continue;
+            }
+
+            showMessage(`Restoring record ${recordIds.size + 1} of ${contents.records.length}...`, "info");
+            const record = await restoreArchivedRecord(entry);
+            recordIds.set(entry.id, record.id);
+            restored++;
+        }
+
+        if (restoreGrants) {
+            await restoreArchivedGrants(contents.grants, recordIds);
+        }
+
+        hideModal("modal-archive");
+        showMessage(`Restored ${restored} records; ${contents.records.length - restored} were already in this account`, "success");
+    } catch (error) {
+        console.error("Failed to import archive:", error);
+        showMessage(`Restored ${restored} records before failing: ${error.message}. Import the archive again to continue.`, "error");
+    } finally {
+        displayRecords(userRecords);
+        displayKeyVaultStatus();
+    }
+}
+
+// Add an archived record, its keys and its attachments to this account
+async function restoreArchivedRecord(entry) {
+    const { facility, ...metadata } = entry.metadata;
+    const result = await actor.addMedicalRecord(
+        { [entry.recordType]: null },
+        Array.from(fromBase64(entry.encryptedData)),
+        entry.encryptionKeyHash,
+        { ...metadata, facility: facility ? [facility] : [] },
+        []
+    );
+    if (!("ok" in result)) {
+        throw new Error(Object.keys(result.err)[0]);
+    }
+
+    // A re-import skips records whose key hash is already here, so a record must not stay without its
+    // attachments or keys: if restoring them fails, the record is deleted again and restored in full next time
+    const record = result.ok;
+    try {
+        await restoreArchivedAttachments(record, entry.attachments);
+        if (entry.keys) {
+            await crypto.mergeKeyEntries([{
+                recordId: record.id.toString(),
+                keyData: Array.from(fromBase64(entry.keys.keyData)),
+                previousKeys: entry.keys.previousKeys.map(k => Array.from(fromBase64(k)))
+            }]);
+        }
+    } catch (error) {
+        const deleted = await actor.deleteMedicalRecord(record.id).catch(() => null);
+        if (!deleted || !("ok" in deleted)) {
+            console.error(`Failed to remove partly restored record ${record.id}`);
+        }
+        throw error;
+    }
+
+    userRecords.push(record);
+    await shareKeyWithCaregivers(record);
+    await pushKeyToDevices(record);
+    return record;
+}
+
+// Upload a restored record's archived attachments; chunks are uploaded as they are, still encrypted under the record's key
+async function restoreArchivedAttachments(record, attachments) {
+    for (const attachment of attachments) {
+        const created = await actor.createAttachment(
+            record.id,
+            Array.from(fromBase64(attachment.encryptedHeader)),
+            attachment.encryptionKeyHash,
+            attachment.chunks.length
+        );
+        if (!("ok" in created)) {
+            throw new Error(Object.keys(created.err)[0]);
+        }
+        for (const [index, chunk] of attachment.chunks.entries()) {
+            const uploaded = await actor.uploadAttachmentChunk(created.ok.id, index, Array.from(fromBase64(chunk)));
+            if (!("ok" in uploaded)) {
+                throw new Error(Object.keys(uploaded.err)[0]);
+            }
+        }
+    }
+}
+
+// Grant archived grants that haven't expired again, for the restored copies of their records
+async function restoreArchivedGrants(grants, recordIds) {
+    const now = BigInt(Date.now()) * BigInt(NANOSECONDS_PER_MILLISECOND);
+
+    for (const archived of grants) {
+        if (archived.expiresAt !== null && BigInt(archived.expiresAt) <= now) continue;
+
+        // A grant for specific records only comes back if some of them were restored
+        const ids = archived.recordIds.filter(id => recordIds.has(id)).map(id => recordIds.get(id));
+        if (archived.recordIds.length > 0 && ids.length === 0) continue;
+
+        try {
+            const result = await actor.grantAccess(
+                Principal.fromText(archived.grantedTo),
+                ids,
+                archived.permissions.map(p => ({ [p]: null })),
+                archived.expiresAt !== null ? [BigInt(archived.expiresAt)] : [],
+                []
+            );
+            if (!("ok" in result)) {
+                throw new Error(Object.keys(result.err)[0]);
+            }
+
+            const grant = result.ok;
+            accessGrants.push(grant);
+            if (grant.permissions.some(p => "Read" in p)) {
+                await shareRecordKeys(grant.grantedTo, getGrantRecords(grant));
+            }
+        } catch (error) {
+            console.error(`Failed to restore grant for ${archived.grantedTo}:`, error);
+        }
+    }
+    displayAccessGrants(accessGrants);
+}
+
+// Read the saved key rotation job, if it belongs to the records shown
+function getKeyRotationJob() {
+    if (!userDID || actingFor) return null;
+    const job = JSON.parse(localStorage.getItem(KEY_ROTATION_JOB_KEY) || "null");
+    return job && job.did === userDID.identifier ? job : null;
+}
+
+// Save a key rotation job so it can be resumed after the page is closed
+function saveKeyRotationJob(job) {
+    localStorage.setItem(KEY_ROTATION_JOB_KEY, JSON.stringify(job));
+}
+
+// Show the progress of the key rotation job, or the option to start one
+function displayKeyRotation() {
+    const job = getKeyRotationJob();
+    document.getElementById("btn-rotate-keys").disabled = Boolean(job);
+    document.getElementById("key-rotation-progress").classList.toggle("hidden", !job);
+    if (!job) return;
+
+    const done = job.total - job.records.length;
+    const bar = document.getElementById("key-rotation-bar");
+    bar.max = job.total;
+    bar.value = done;
+    document.getElementById("key-rotation-text").textContent = keyRotationRunning
+        ? `Re-encrypting records: ${done} of ${job.total}`
+        : `Key rotation paused with ${job.records.length} of ${job.total} records left` +
+            (job.failed.length > 0 ? `, including ${job.failed.length} that failed` : "") + ".";
+    document.getElementById("btn-resume-key-rotation").classList.toggle("hidden", keyRotationRunning);
+    document.getElementById("btn-cancel-key-rotation").textContent = keyRotationRunning ? "Stop" : "Cancel";
+}
+
+// Queue every record for re-encryption under a new key and start working through them
+async function startKeyRotation(e) {
+    e.preventDefault();
+    const includeSigned = document.getElementById("key-rotation-include-signed").checked;
+    hideModal("modal-key-rotation");
+
+    try {
+        await ensureAllRecordsLoaded();
+
+        // Re-encrypting a provider-signed record removes the signature, since it covers the ciphertext
+        const records = userRecords.filter(r => includeSigned || !r.signature || r.signature.length === 0);
+        if (records.length === 0) {
+            showMessage("There are no records to re-encrypt", "info");
+            return;
+        }
+
+        // Each record remembers the key hash it had, so a resumed job can tell which ones are done
+        saveKeyRotationJob({
+            did: userDID.identifier,
+            total: records.length,
+            records: records.map(r => [r.id.toString(), r.encryptionKeyHash]),
+            failed: []
+        });
+        await runKeyRotation();
+    } catch (error) {
+        console.error("Failed to start key rotation:", error);
+        showMessage("Failed to start key rotation", "error");
+    }
+}
+
+// Work through the saved key rotation job one record at a time, saving progress after each
+async function runKeyRotation() {
+    if (keyRotationRunning || !getKeyRotationJob()) return;
+    keyRotationRunning = true;
+    displayKeyRotation();
+
+    try {
+        await ensureAllRecordsLoaded();
+
+        let job = getKeyRotationJob();
+        while (job && job.records.length > 0) {
+            const [recordId, fromKeyHash] = job.records[0];
+            const record = userRecords.find(r => r.id.toString() === recordId);
+
+            // Records deleted since the job started are skipped
+            if (record) {
+                try {
+                    await rotateRecordKey(record, fromKeyHash);
+                } catch (error) {
+                    console.error(`Failed to re-encrypt record ${recordId}:`, error);
+                    job.failed.push(job.records[0]);
+                }
+            }
+
+            // Stop if the job was cancelled, or we logged out or switched profile, while this record was in progress
+            if (!getKeyRotationJob()) break;
+            job.records.shift();
+            saveKeyRotationJob(job);
+            displayKeyRotation();
+            job = getKeyRotationJob();
+        }
+
+        if (job && job.records.length === 0) {
+            const failed = job.failed.length;
+            if (failed > 0) {
+                // Keep the failed records queued so they can be retried
+                saveKeyRotationJob({ ...job, total: failed, records: job.failed, failed: [] });
+                showMessage(`${failed} record${failed === 1 ? "" : "s"} could not be re-encrypted. Resume to try again.`, "error");
+            } else {
+                localStorage.removeItem(KEY_ROTATION_JOB_KEY);
+                showMessage("All records are now encrypted under new keys. Back up your keys again.", "success");
+            }
+        }
+    } catch (error) {
+        console.error("Key rotation failed:", error);
+        showMessage("Key rotation stopped: " + error.message, "error");
+    } finally {
+        keyRotationRunning = false;
+        if (userDID) {
+            displayRecords(userRecords);
+            displayKeyRotation();
+            displayKeyVaultStatus();
+        }
+    }
+}
+
+// Drop the key rotation job; records already re-encrypted keep their new keys
+function cancelKeyRotation() {
+    if (!confirm("Stop rotating keys? Records not yet re-encrypted stay under their current keys.")) {
+        return;
+    }
+    localStorage.removeItem(KEY_ROTATION_JOB_KEY);
+    displayKeyRotation();
+}
+
+// Re-encrypt a record and its attachments under a new key, then share the key wherever the record's key goes
+// Safe to repeat after an interruption: a record already under a new key only has the later steps redone
+async function rotateRecordKey(record, fromKeyHash) {
+    if (record.encryptionKeyHash === fromKeyHash) {
+        const keyData = await getCurrentKeyData(record);
+        if (!keyData) {
+            throw new Error("record key not found on this device");
+        }
+        const data = await crypto.decrypt(await getRecordCiphertext(record), await crypto.importKey(keyData));
+
+        // Keep the new key as pending until the backend accepts the re-encrypted record
+        const key = await crypto.generateKey();
+        await crypto.storePendingKey(record.id, await crypto.exportKey(key));
+
+        const result = await actor.updateMedicalRecord(
+            record.id,
+            Array.from(await crypto.encrypt(data, key)),
+            await crypto.hashKey(key),
+            record.metadata
+        );
+        if (!("ok" in result)) {
+            await crypto.discardPendingKey(record.id);
+            throw new Error(Object.keys(result.err)[0]);
+        }
+
+        await crypto.commitPendingKey(record.id);
+        userRecords = userRecords.map(r => r.id === record.id ? result.ok : r);
+        await refreshEmergencyRecord(record.id, data);
+    }
+
+    const current = userRecords.find(r => r.id === record.id);
+    const keyData = await getCurrentKeyData(current);
+    if (!keyData) {
+        throw new Error("new record key not found on this device");
+    }
+
+    await reencryptAttachments(current, keyData);
+    await shareKeyWithGrantees(current);
+    await shareKeyWithCaregivers(current);
+    await pushKeyToDevices(current);
+}
+
+// Upload a record's attachments again under its current key and delete the copies under older keys
+async function reencryptAttachments(record, keyData) {
+    const result = await actor.getAttachments(record.id);
+    if (!("ok" in result)) {
+        throw new Error("Failed to load attachments: " + Object.keys(result.err)[0]);
+    }
+
+    const keyHash = await crypto.hashKeyData(keyData);
+    for (const attachment of result.ok) {
+        if (attachment.encryptionKeyHash === keyHash) continue;
+
+        const oldKeyData = await getVersionKeyData(record.id, attachment.encryptionKeyHash);
+        if (!oldKeyData) {
+            throw new Error("attachment key not found on this device");
+        }
+        const header = JSON.parse(await crypto.decrypt(
+            new Uint8Array(attachment.encryptedHeader),
+            await crypto.importKey(oldKeyData)
+        ));
+        const blob = await fetchAttachment(attachment, header, oldKeyData);
+
+        await uploadAttachment(record, new File([blob], header.name, { type: header.type }), keyData);
+        const deleted = await actor.deleteAttachment(attachment.id);
+        if ("err" in deleted) {
+            throw new Error("Failed to delete attachment: " + Object.keys(deleted.err)[0]);
+        }
+    }
+}
+
+// Register this browser as one of our devices and import keys waiting for it
+async function syncDevice() {
+    if (!userDID || !encryptionKeyPair) return;
+
+    try {
+        deviceInfo = await crypto.getIdentityEntry("device");
+        if (!deviceInfo) {
+            deviceInfo = { id: "device", deviceId: window.crypto.randomUUID(), name: describeThisDevice() };
+            await crypto.putIdentityEntry(deviceInfo);
+        }
+
+        const publicKey = await crypto.exportPublicKey(deviceKeyPair.publicKey);
+        const result = await actor.registerDevice(deviceInfo.deviceId, deviceInfo.name, Array.from(publicKey));
+        if ("err" in result) {
+            console.error("Failed to register device:", result.err);
+            return;
+        }
+
+        await importDeviceKeys();
+        await loadDevices();
+    } catch (error) {
+        console.error("Failed to sync device:", error);
+    }
+}
+
+// Short description of this browser for the device list
+function describeThisDevice() {
+    const ua = navigator.userAgent;
+    const browser = /Edg\//.test(ua) ? "Edge"
+        : /Firefox\//.test(ua) ? "Firefox"
+        : /Chrome\//.test(ua) ? "Chrome"
+        : /Safari\//.test(ua) ? "Safari"
+        : "Browser";
+    const platform = /Android/.test(ua) ? "Android"
+        : /iPhone|iPad/.test(ua) ? "iOS"
+        : /Mac/.test(ua) ? "macOS"
+        : /Windows/.test(ua) ? "Windows"
+        : /Linux/.test(ua) ? "Linux"
+        : "unknown OS";
+    return `${browser} on ${platform}`;
+}
+
+// Unwrap keys our other devices queued for this one
+async function importDeviceKeys() {
+    await importDeviceKeyPair();
+
+    const result = await actor.getDeviceKeys(deviceInfo.deviceId);
+    if (!("ok" in result) || result.ok.length === 0) return;
+
+    // Telling current keys from retired ones needs the records they belong to
+    if (result.ok.some(deviceKey => !findRecord(deviceKey.recordId))) {
+        await ensureAllRecordsLoaded();
+    }
+
+    const imported = [];
+    for (const deviceKey of result.ok) {
+        try {
+            const keyData = await crypto.unwrapKeyData(
+                new Uint8Array(deviceKey.wrappedKey),
+                deviceKeyPair.privateKey
+            );
+            const record = userRecords.find(r => r.id.toString() === deviceKey.recordId.toString());
+            const isCurrent = !record || await crypto.hashKeyData(keyData) === record.encryptionKeyHash;
+            await crypto.adoptKey(deviceKey.recordId, keyData, isCurrent);
+            imported.push(deviceKey.recordId);
+        } catch (error) {
+            console.warn(`Could not import key for record ${deviceKey.recordId}`);
+        }
+    }
+
+    if (imported.length > 0) {
+        await actor.ackDeviceKeys(deviceInfo.deviceId, imported);
+    }
+}
+
+// Adopt the encryption key pair sent by the device that approved this one
+async function importDeviceKeyPair() {
+    const result = await actor.getDeviceKeyPair(deviceInfo.deviceId);
+    if (!("ok" in result)) return;
+
+    try {
+        encryptionKeyPair = await crypto.unwrapKeyPair(new Uint8Array(result.ok), deviceKeyPair.privateKey);
+        await crypto.storeKeyPair(encryptionKeyPair);
+        await actor.ackDeviceKeyPair(deviceInfo.deviceId);
+        await loadSharedKeys();
+    } catch (error) {
+        console.error("Failed to import encryption key pair:", error);
+    }
+}
+
+// Load our devices and show pairing state
+async function loadDevices() {
+    const result = await actor.getMyDevices();
+    if (!("ok" in result)) return;
+
+    myDevices = result.ok;
+    await displayDevices();
+
+    const thisDevice = myDevices.find(d => d.deviceId === deviceInfo.deviceId);
+    if (thisDevice && "Pending" in thisDevice.status) {
+        startPairingPoll();
+    }
+}
+
+// Derive the short code both devices show so the user can confirm they are pairing the right device
+async function pairingCode(publicKey) {
+    const hash = new Uint8Array(await window.crypto.subtle.digest("SHA-256", new Uint8Array(publicKey)));
+    const code = (((hash[0] << 16) | (hash[1] << 8) | hash[2]) % 1000000).toString().padStart(6, "0");
+    return `${code.slice(0, 3)}-${code.slice(3)}`;
+}
+
+// Display our devices and, if this device awaits approval, its pairing code
+async function displayDevices() {
+    const container = document.getElementById("devices-list");
+    const thisDevice = myDevices.find(d => d.deviceId === deviceInfo.deviceId);
+    const isPending = thisDevice && "Pending" in thisDevice.status;
+    const isApproved = thisDevice && "Approved" in thisDevice.status;
+
+    const banner = document.getElementById("pairing-banner");
+    banner.classList.toggle("hidden", !isPending);
+    if (isPending) {
+        document.getElementById("pairing-code").textContent = await pairingCode(thisDevice.publicKey);
+    }
+
+    const items = [];
+    for (const device of myDevices) {
+        const isThisDevice = device.deviceId === deviceInfo.deviceId;
+        const pending = "Pending" in device.status;
+        let actions = "";
+        if (!isThisDevice && pending && isApproved) {
+            actions = `
+                <span class="pairing-code-small">Code ${await pairingCode(device.publicKey)}</span>
+                <button class="btn btn-primary" onclick="approveDevice('${device.deviceId}')">Approve</button>
+                <button class="btn btn-danger" onclick="removeDevice('${device.deviceId}')">Reject</button>
+            `;
+        } else if (!isThisDevice) {
+            actions = `<button class="btn btn-danger" onclick="removeDevice('${device.deviceId}')">Remove</button>`;
+        }
+
+        items.push(`
+            <div class="device-item">
+                <div class="device-info">
+                    <h4>${escapeHtml(device.name)}${isThisDevice ? " (this device)" : ""}</h4>
+                    <p>${pending ? "Waiting for approval" : "Trusted"} • Added ${formatTimestamp(device.createdAt)}</p>
+                </div>
+                <div class="record-actions">${actions}</div>
+            </div>
+        `);
+    }
+
+    container.innerHTML = items.length > 0
+        ? items.join("")
+        : '<p class="empty-state">No devices registered yet.</p>';
+}
+
+// Poll while this device waits to be approved by a trusted device
+function startPairingPoll() {
+    if (pairingPollTimer) return;
+
+    pairingPollTimer = setInterval(async () => {
+        try {
+            const result = await actor.getMyDevices();
+            if (!("ok" in result)) return;
+
+            const thisDevice = result.ok.find(d => d.deviceId === deviceInfo.deviceId);
+            if (thisDevice && "Approved" in thisDevice.status) {
+                stopPairingPoll();
+                await importDeviceKeys();
+                myDevices = result.ok;
+                await displayDevices();
+                displayRecords(userRecords);
+                await displayKeyVaultStatus();
+                showMessage("This device has been approved and your keys were transferred", "success");
+            }
+        } catch (error) {
+            console.error("Failed to check pairing status:", error);
+        }
+    }, PAIRING_POLL_INTERVAL_MS);
+}
+
+function stopPairingPoll() {
+    if (pairingPollTimer) {
+        clearInterval(pairingPollTimer);
+        pairingPollTimer = null;
+    }
+}
+
+// Approve a new device after confirming its code, sending it all our keys wrapped for it
+window.approveDevice = async function(deviceId) {
+    const device = myDevices.find(d => d.deviceId === deviceId);
+    if (!device) return;
+
+    const expected = await pairingCode(device.publicKey);
+    const entered = prompt(`Enter the code shown on "${device.name}"`);
+    if (entered === null) return;
+    if (entered.replace(/\D/g, "") !== expected.replace(/\D/g, "")) {
+        showMessage("Codes do not match. Only approve devices you recognise.", "error");
+        return;
+    }
+
+    try {
+        const publicKey = await crypto.importPublicKey(new Uint8Array(device.publicKey));
+        const keys = [];
+        for (const entry of await crypto.getAllKeyEntries()) {
+            for (const keyData of [...(entry.previousKeys || []), entry.keyData]) {
+                const wrapped = await crypto.wrapKeyData(new Uint8Array(keyData), publicKey);
+                keys.push([BigInt(entry.recordId), Array.from(wrapped)]);
+            }
+        }
+
+        const keyPair = await crypto.wrapKeyPair(encryptionKeyPair, publicKey);
+        const result = await actor.approveDevice(deviceId, deviceInfo.deviceId, keys, [Array.from(keyPair)]);
+        if ("ok" in result) {
+            await loadDevices();
+            showMessage("Device approved and keys transferred", "success");
+        } else {
+            showMessage("Failed to approve device: " + Object.keys(result.err)[0], "error");
+        }
+    } catch (error) {
+        console.error("Failed to approve device:", error);
+        showMessage("Failed to approve device", "error");
+    }
+};
+
+// Remove a device or reject a pairing request
+window.removeDevice = async function(deviceId) {
+    if (!confirm("Remove this device? It will no longer receive keys for new records.")) {
+        return;
+    }
+
+    try {
+        const result = await actor.removeDevice(deviceId);
+        if ("ok" in result) {
+            await loadDevices();
+            showMessage("Device removed", "success");
+        } else {
+            showMessage("Failed to remove device: " + Object.keys(result.err)[0], "error");
+        }
+    } catch (error) {
+        console.error("Failed to remove device:", error);
+        showMessage("Failed to remove device", "error");
+    }
+};
+
+// Send a record's current key to our other trusted devices
+async function pushKeyToDevices(record) {
+    const keyData = await crypto.getStoredKey(record.id);
+    if (!keyData || !deviceInfo) return;
+
+    for (const device of myDevices) {
+        if (device.deviceId === deviceInfo.deviceId || !("Approved" in device.status)) continue;
+
+        try {
+            const publicKey = await crypto.importPublicKey(new Uint8Array(device.publicKey));
+            const wrapped = await crypto.wrapKeyData(keyData, publicKey);
+            await actor.pushDeviceKeys(device.deviceId, [[record.id, Array.from(wrapped)]]);
+        } catch (error) {
+            console.error(`Failed to send key to device ${device.name}:`, error);
+        }
+    }
+}
+
+// Load a page of the access history, applying the provider and record filters
+async function loadAuditLog(offset) {
+    const providerText = document.getElementById("audit-filter-provider").value;
+    const recordIdText = document.getElementById("audit-filter-record").value;
+    auditOffset = Math.max(0, offset);
+
+    try {
+        const result = await actor.getMyAuditLog(
+            auditOffset,
+            AUDIT_PAGE_SIZE,
+            providerText ? [Principal.fromText(providerText)] : [],
+            recordIdText ? [BigInt(recordIdText)] : [],
+            onBehalfOf()
+        );
+
+        if ("ok" in result) {
+            updateAuditFilters(result.ok.entries);
+            displayAuditLog(result.ok.entries, Number(result.ok.total));
+        }
+    } catch (error) {
+        console.error("Failed to load access history:", error);
+    }
+}
+
+// Keep the filter options in sync with known providers and records
+function updateAuditFilters(entries) {
+    const providerSelect = document.getElementById("audit-filter-provider");
+    const recordSelect = document.getElementById("audit-filter-record");
+    const selectedProvider = providerSelect.value;
+    const selectedRecord = recordSelect.value;
+
+    const providers = new Set(Array.from(providerSelect.options).map(o => o.value).filter(v => v));
+    accessGrants.forEach(grant => providers.add(grant.grantedTo.toString()));
+    entries.forEach(entry => providers.add(entry.provider.toString()));
+
+    providerSelect.innerHTML = '<option value="">All Providers</option>' +
+        Array.from(providers).map(p => `<option value="${p}">${p}</option>`).join("");
+    providerSelect.value = selectedProvider;
+
+    recordSelect.innerHTML = '<option value="">All Records</option>' +
+        userRecords.map(r => `<option value="${r.id}">${escapeHtml(r.metadata.title)}</option>`).join("");
+    recordSelect.value = selectedRecord;
+}
+
+// Display access history entries
+function displayAuditLog(entries, total) {
+    const container = document.getElementById("audit-list");
+
+    if (entries.length === 0) {
+        container.innerHTML = '<p class="empty-state">No access recorded yet.</p>';
+    } else {
+        container.innerHTML = entries.map(entry => {
+            const action = Object.keys(entry.action)[0];
+            const actionLabel = "Caregiver" in entry.action
+                ? `Caregiver ${Object.keys(entry.action.Caregiver)[0]}`
+                : action;
+            const recordId = entry.recordId[0];
+            const record = recordId !== undefined
+                ? userRecords.find(r => r.id.toString() === recordId.toString())
+                : null;
+            const recordLabel = recordId === undefined
+                ? ""
+                : record ? escapeHtml(record.metadata.title) : `Deleted record #${recordId}`;
+
+            return `
+                <div class="audit-item">
+                    <span class="audit-action audit-${action.toLowerCase()}">${actionLabel}</span>
+                    <div class="audit-info">
+                        <p class="audit-provider">${entry.provider.toString()}</p>
+                        <p>${recordLabel ? recordLabel + " • " : ""}${formatTimestamp(entry.timestamp)}</p>
+                    </div>
+                </div>
+            `;
+        }).join("");
+    }
+
+    const pageEnd = Math.min(auditOffset + AUDIT_PAGE_SIZE, total);
+    document.getElementById("audit-page-info").textContent =
+        total === 0 ? "" : `${auditOffset + 1}–${pageEnd} of ${total}`;
+    document.getElementById("btn-audit-prev").disabled = auditOffset === 0;
+    document.getElementById("btn-audit-next").disabled = pageEnd >= total;
+}
+
 // Modal helpers
 function showModal(modalId) {
     document.getElementById(modalId).classList.remove("hidden");